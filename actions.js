@@ -0,0 +1,1163 @@
+// actions.js
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import {
+  ActionValidationError,
+  ActionFailedError,
+  AssertionFailedError,
+} from "./errors.js";
+import { matchesUrlPattern } from "./cli.js";
+import {
+  captureImage,
+  captureElements,
+  validateImageOptions,
+  CONTENT_TYPES,
+} from "./capture.js";
+
+/**
+ * Page actions
+ *
+ * The interpreter behind the `actions` list of screencast tasks. Each action
+ * type has a `validate` check, run on the whole list before a browser is
+ * touched, and a `run` step. Both report problems by step number (1-based)
+ * and action type.
+ *
+ * `screenshot` steps capture named stills along the way; runActions returns
+ * them in step order.
+ *
+ * Steps run on the "active" page, which starts as the page passed to
+ * runActions. Popups opened by any page are tracked, and `switchToPage` /
+ * `closePage` move the active page between them. Dialogs (`alert`,
+ * `confirm`, `prompt`) are dismissed unless a `dialog` step says otherwise.
+ *
+ * `if` and `repeat` steps hold nested steps, numbered "<parent>.<n>" (and
+ * "<parent>.else.<n>" for the else branch). Any step may be `optional`.
+ *
+ * `assert*` steps check the page and fail with an AssertionFailedError that
+ * reports what was expected, what was found, and a screenshot. Console errors
+ * and navigation statuses are collected from the moment watchPage is called.
+ */
+
+const _isText = (value) => typeof value === "string";
+const _isSelector = (value) => typeof value === "string" && value.length > 0;
+
+function _requireSelector(label) {
+  return (action) =>
+    _isSelector(action.selector)
+      ? null
+      : `${label} action requires a 'selector'.`;
+}
+
+function _isPoint(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Number.isFinite(value.x) &&
+    Number.isFinite(value.y)
+  );
+}
+
+function _requirePoint(label) {
+  return (action) =>
+    _isPoint(action) ? null : `${label} action requires numeric 'x' and 'y'.`;
+}
+
+function _optionalPoint(label) {
+  return (action) =>
+    action.x === undefined && action.y === undefined
+      ? null
+      : _requirePoint(label)(action);
+}
+
+function _isInlineFile(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    _isSelector(value.name) &&
+    _isText(value.mimeType) &&
+    (typeof value.buffer === "string" || Buffer.isBuffer(value.buffer))
+  );
+}
+
+function _toFilePayload(file) {
+  if (typeof file === "string" || Buffer.isBuffer(file.buffer)) return file;
+  return { ...file, buffer: Buffer.from(file.buffer, "base64") };
+}
+
+const REMOTE_URL_PROTOCOLS = ["http:", "https:", "about:", "data:"];
+
+/**
+ * Whether `url` could read from the machine running the browser, i.e. it
+ * is not an http(s), about: or data: URL. Unparseable URLs count as local.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isLocalUrl(url) {
+  try {
+    return !REMOTE_URL_PROTOCOLS.includes(new URL(url).protocol);
+  } catch {
+    return true;
+  }
+}
+
+const SCROLL_DIRECTIONS = ["bottom", "top", "down", "up"];
+const CONDITION_KEYS = ["visible", "hidden", "urlMatches"];
+const MAX_REPEAT = 1000;
+const DIALOG_RESPONSES = ["accept", "dismiss"];
+const PAGE_TARGETS = ["popup", "opener", "main"];
+
+function _conditionProblem(label, condition) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    return `${label} must be an object with one of: ${CONDITION_KEYS.join(
+      ", "
+    )}.`;
+  }
+  const keys = CONDITION_KEYS.filter((key) => condition[key] !== undefined);
+  if (keys.length !== 1) {
+    return `${label} needs exactly one of: ${CONDITION_KEYS.join(", ")}.`;
+  }
+  if (!_isSelector(condition[keys[0]])) {
+    return `${label} '${keys[0]}' must be a non-empty string.`;
+  }
+  if (
+    condition.timeout !== undefined &&
+    !(Number.isFinite(condition.timeout) && condition.timeout >= 0)
+  ) {
+    return `${label} 'timeout' must be a number of milliseconds.`;
+  }
+  return null;
+}
+
+async function _checkCondition(page, condition) {
+  const { visible, hidden, urlMatches, timeout = 0 } = condition;
+  if (urlMatches) return matchesUrlPattern(urlMatches, page.url());
+  const selector = visible || hidden;
+  if (timeout > 0) {
+    return page
+      .waitForSelector(selector, {
+        state: visible ? "visible" : "hidden",
+        timeout,
+      })
+      .then(
+        () => true,
+        () => false
+      );
+  }
+  const isVisible = await page.isVisible(selector);
+  return visible ? isVisible : !isVisible;
+}
+
+function _timeoutProblem(label, action) {
+  return action.timeout === undefined ||
+    (Number.isFinite(action.timeout) && action.timeout >= 0)
+    ? null
+    : `${label} action 'timeout' must be a number of milliseconds.`;
+}
+
+/**
+ * Measures until `passes` (polling every 100ms for up to `timeout` ms) and
+ * throws an AssertionFailedError with the last measurement otherwise.
+ */
+async function _expect(page, { step, type, timeout = 0 }, check) {
+  const deadline = Date.now() + timeout;
+  let result = await check();
+  while (!result.passed && Date.now() < deadline) {
+    await page.waitForTimeout(100);
+    result = await check();
+  }
+  if (!result.passed) {
+    throw new AssertionFailedError(step, type, {
+      expected: result.expected,
+      actual: result.actual,
+      url: page.url(),
+    });
+  }
+}
+
+function _collapseWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function _countProblem(action) {
+  const bounds = ["count", "min", "max"].filter(
+    (key) => action[key] !== undefined
+  );
+  if (bounds.length === 0) {
+    return "AssertCount action requires 'count', 'min' or 'max'.";
+  }
+  return bounds.every(
+    (key) => Number.isInteger(action[key]) && action[key] >= 0
+  )
+    ? null
+    : "AssertCount action 'count', 'min' and 'max' must be whole numbers.";
+}
+
+function _describeCount({ count, min, max }) {
+  if (count !== undefined) return `exactly ${count}`;
+  if (max === undefined) return `at least ${min}`;
+  if (min === undefined) return `at most ${max}`;
+  return `between ${min} and ${max}`;
+}
+
+function _stepsProblem(label, steps, { allowEmpty }) {
+  if (!Array.isArray(steps) || (!allowEmpty && steps.length === 0)) {
+    return `${label} must be a${allowEmpty ? "" : " non-empty"} list of steps.`;
+  }
+  return null;
+}
+
+async function _nextPopup(session, timeoutMs) {
+  const pending = session.pages.find(
+    (candidate) => !session.visited.has(candidate) && !candidate.isClosed()
+  );
+  if (pending) return pending;
+  return session.page.waitForEvent("popup", { timeout: timeoutMs });
+}
+
+async function _resolveTargetPage(session, target, timeoutMs) {
+  if (target === "popup") return _nextPopup(session, timeoutMs);
+  if (target === "main") return session.pages[0];
+  if (target === "opener") {
+    const opener = session.openers.get(session.page);
+    if (!opener) throw new Error("The active page has no opener.");
+    return opener;
+  }
+  const page = session.pages[target];
+  if (!page) {
+    throw new Error(
+      `No page at index ${target}; ${session.pages.length} page(s) are open.`
+    );
+  }
+  return page;
+}
+
+const ACTIONS = {
+  navigate: {
+    validate: (action) =>
+      _isSelector(action.url) ? null : "Navigate action requires a 'url'.",
+    run: (page, action, { timeoutMs }) =>
+      page.goto(action.url, {
+        waitUntil: "load",
+        timeout: timeoutMs,
+        ...action.options,
+      }),
+  },
+  click: {
+    validate: _requireSelector("Click"),
+    run: (page, action) => page.click(action.selector, action.options),
+  },
+  type: {
+    validate: (action) =>
+      (action.selector === undefined
+        ? null
+        : _requireSelector("Type")(action)) ||
+      (_isText(action.text) ? null : "Type action requires 'text'."),
+    run: (page, action) =>
+      action.selector
+        ? page.type(action.selector, action.text, action.options)
+        : page.keyboard.type(action.text, action.options),
+  },
+  fill: {
+    validate: (action) =>
+      _requireSelector("Fill")(action) ||
+      (_isText(action.text) ? null : "Fill action requires 'text'."),
+    run: (page, action) =>
+      page.fill(action.selector, action.text, action.options),
+  },
+  check: {
+    validate: _requireSelector("Check"),
+    run: (page, action) => page.check(action.selector, action.options),
+  },
+  uncheck: {
+    validate: _requireSelector("Uncheck"),
+    run: (page, action) => page.uncheck(action.selector, action.options),
+  },
+  selectOption: {
+    validate: (action) =>
+      _requireSelector("SelectOption")(action) ||
+      (action.value
+        ? null
+        : "SelectOption action requires a 'value' (string, array of strings, or object)."),
+    run: (page, action) =>
+      page.selectOption(action.selector, action.value, action.options),
+  },
+  waitForSelector: {
+    validate: _requireSelector("WaitForSelector"),
+    run: (page, action, { timeoutMs }) =>
+      page.waitForSelector(action.selector, {
+        state: "visible",
+        timeout: timeoutMs,
+        ...action.options,
+      }),
+  },
+  waitForTimeout: {
+    validate: (action) =>
+      typeof action.duration === "number"
+        ? null
+        : "WaitTimeout action requires a 'duration' (number).",
+    run: (page, action) => page.waitForTimeout(action.duration),
+  },
+  waitForNavigation: {
+    validate: () => null,
+    run: (page, action, { timeoutMs }) =>
+      page.waitForNavigation({
+        waitUntil: "load",
+        timeout: timeoutMs,
+        ...action.options,
+      }),
+  },
+  waitForLoadState: {
+    validate: () => null,
+    run: (page, action) =>
+      page.waitForLoadState(action.state || "load", action.options),
+  },
+  scroll: {
+    validate: (action) =>
+      SCROLL_DIRECTIONS.includes(action.direction) ||
+      _isSelector(action.selector)
+        ? null
+        : "Scroll action requires 'direction': 'bottom', 'top', 'down', 'up', or a 'selector'.",
+    run: async (page, action) => {
+      if (action.direction === "bottom") {
+        await page.evaluate(() =>
+          window.scrollTo(0, document.body.scrollHeight)
+        );
+      } else if (action.direction === "top") {
+        await page.evaluate(() => window.scrollTo(0, 0));
+      } else if (action.direction === "down") {
+        await page.evaluate(
+          (amount) => window.scrollBy(0, amount || window.innerHeight),
+          action.amount
+        );
+      } else if (action.direction === "up") {
+        await page.evaluate(
+          (amount) => window.scrollBy(0, -(amount || window.innerHeight)),
+          action.amount
+        );
+      } else {
+        await page.evaluate((selector) => {
+          const element = document.querySelector(selector);
+          if (element) element.scrollIntoView();
+        }, action.selector);
+      }
+      await page.waitForTimeout(200);
+    },
+  },
+  hover: {
+    validate: _requireSelector("Hover"),
+    run: (page, action) => page.hover(action.selector, action.options),
+  },
+  focus: {
+    validate: _requireSelector("Focus"),
+    run: (page, action) => page.focus(action.selector, action.options),
+  },
+  press: {
+    validate: (action) =>
+      (action.selector === undefined
+        ? null
+        : _requireSelector("Press")(action)) ||
+      (_isSelector(action.key) ? null : "Press action requires a 'key'."),
+    run: (page, action) =>
+      action.selector
+        ? page.press(action.selector, action.key, action.options)
+        : page.keyboard.press(action.key, action.options),
+  },
+  dragAndDrop: {
+    validate: (action) =>
+      _isSelector(action.source) && _isSelector(action.target)
+        ? null
+        : "DragAndDrop action requires a 'source' and a 'target' selector.",
+    run: (page, action) =>
+      page.dragAndDrop(action.source, action.target, action.options),
+  },
+  setInputFiles: {
+    validate: (action) =>
+      _requireSelector("SetInputFiles")(action) ||
+      (action.files !== undefined &&
+      []
+        .concat(action.files)
+        .every((file) => _isSelector(file) || _isInlineFile(file))
+        ? null
+        : "SetInputFiles action requires 'files': a path, an inline { name, mimeType, buffer } file (buffer in base64), or an array of these."),
+    run: (page, action) =>
+      page.setInputFiles(
+        action.selector,
+        Array.isArray(action.files)
+          ? action.files.map(_toFilePayload)
+          : _toFilePayload(action.files),
+        action.options
+      ),
+  },
+  mouseMove: {
+    validate: (action) => {
+      if (action.path === undefined) return _requirePoint("MouseMove")(action);
+      return Array.isArray(action.path) &&
+        action.path.length > 0 &&
+        action.path.every(_isPoint)
+        ? null
+        : "MouseMove action 'path' must be a non-empty list of { x, y } points.";
+    },
+    run: async (page, action) => {
+      const points = action.path || [action];
+      for (const { x, y } of points) {
+        await page.mouse.move(x, y, { steps: action.steps });
+      }
+    },
+  },
+  mouseClick: {
+    validate: _requirePoint("MouseClick"),
+    run: (page, action) => page.mouse.click(action.x, action.y, action.options),
+  },
+  mouseDown: {
+    validate: _optionalPoint("MouseDown"),
+    run: async (page, action) => {
+      if (_isPoint(action)) await page.mouse.move(action.x, action.y);
+      await page.mouse.down(action.options);
+    },
+  },
+  mouseUp: {
+    validate: _optionalPoint("MouseUp"),
+    run: async (page, action) => {
+      if (_isPoint(action)) await page.mouse.move(action.x, action.y);
+      await page.mouse.up(action.options);
+    },
+  },
+  dialog: {
+    validate: (action) =>
+      DIALOG_RESPONSES.includes(action.response)
+        ? action.promptText === undefined || _isText(action.promptText)
+          ? null
+          : "Dialog action 'promptText' must be a string."
+        : "Dialog action requires 'response': 'accept' or 'dismiss'.",
+    run: (page, action, { session }) => {
+      const answer = {
+        response: action.response,
+        promptText: action.promptText,
+      };
+      if (action.persist) {
+        session.dialogDefault = answer;
+      } else {
+        session.dialogQueue.push(answer);
+      }
+    },
+  },
+  switchToPage: {
+    validate: (action) =>
+      action.page === undefined ||
+      PAGE_TARGETS.includes(action.page) ||
+      (Number.isInteger(action.page) && action.page >= 0)
+        ? null
+        : "SwitchToPage action 'page' must be 'popup', 'opener', 'main' or a page index.",
+    run: async (page, action, { session, timeoutMs }) => {
+      const target = await _resolveTargetPage(
+        session,
+        action.page === undefined ? "popup" : action.page,
+        timeoutMs
+      );
+      if (target.isClosed()) throw new Error("The target page is closed.");
+      await target.waitForLoadState(action.state || "load", {
+        timeout: timeoutMs,
+      });
+      session.visited.add(target);
+      session.page = target;
+    },
+  },
+  closePage: {
+    validate: () => null,
+    run: async (page, action, { session }) => {
+      if (page === session.pages[0]) {
+        throw new Error("The main page can't be closed.");
+      }
+      const opener = session.openers.get(page);
+      await page.close();
+      session.page = opener && !opener.isClosed() ? opener : session.pages[0];
+    },
+  },
+  screenshot: {
+    validate: (action) => {
+      if (!_isSelector(action.name)) {
+        return "Screenshot action requires a 'name'.";
+      }
+      if (action.selector !== undefined && !_isSelector(action.selector)) {
+        return "Screenshot action 'selector' must be a non-empty string.";
+      }
+      try {
+        validateImageOptions({
+          format: action.format,
+          quality: action.quality,
+        });
+      } catch (e) {
+        return e.message;
+      }
+      return null;
+    },
+    run: async (page, action, { images, step, nameSuffix }) => {
+      const {
+        name,
+        selector,
+        fullPage = false,
+        padding,
+        format = "png",
+      } = action;
+      const imageOptions = { format, quality: action.quality };
+      let buffer;
+      if (selector) {
+        [{ buffer }] = await captureElements(page, [selector], {
+          ...imageOptions,
+          padding,
+        });
+      } else {
+        buffer = await captureImage(page, { ...imageOptions, fullPage });
+      }
+      images.push({
+        name: `${name}${nameSuffix}`,
+        step,
+        format,
+        contentType: CONTENT_TYPES[format],
+        buffer,
+      });
+    },
+  },
+  evaluate: {
+    validate: (action) =>
+      typeof action.script === "function" || typeof action.script === "string"
+        ? null
+        : "Evaluate action requires a 'script' (function or string).",
+    run: (page, action) => page.evaluate(action.script, action.arg),
+  },
+  assertText: {
+    validate: (action) =>
+      (_isSelector(action.text)
+        ? null
+        : "AssertText action requires 'text'.") ||
+      (action.selector === undefined
+        ? null
+        : _requireSelector("AssertText")(action)) ||
+      _timeoutProblem("AssertText", action),
+    run: (page, action, { step }) => {
+      const selector = action.selector || "body";
+      return _expect(
+        page,
+        { step, type: action.type, timeout: action.timeout },
+        async () => {
+          const text = await page.evaluate((target) => {
+            const element = document.querySelector(target);
+            return element ? element.innerText : null;
+          }, selector);
+          const pageText = text === null ? null : _collapseWhitespace(text);
+          return {
+            passed:
+              pageText !== null &&
+              pageText.includes(_collapseWhitespace(action.text)),
+            expected: `text "${action.text}" in ${selector}`,
+            actual:
+              text === null
+                ? `no element matching "${selector}"`
+                : `text starting with "${pageText.slice(0, 120)}"`,
+          };
+        }
+      );
+    },
+  },
+  assertCount: {
+    validate: (action) =>
+      _requireSelector("AssertCount")(action) ||
+      _countProblem(action) ||
+      _timeoutProblem("AssertCount", action),
+    run: (page, action, { step }) =>
+      _expect(
+        page,
+        { step, type: action.type, timeout: action.timeout },
+        async () => {
+          const { count, min = count, max = count } = action;
+          const found = await page.locator(action.selector).count();
+          return {
+            passed:
+              (min === undefined || found >= min) &&
+              (max === undefined || found <= max),
+            expected: `${_describeCount(action)} element(s) matching "${
+              action.selector
+            }"`,
+            actual: `${found}`,
+          };
+        }
+      ),
+  },
+  assertUrl: {
+    validate: (action) =>
+      (_isSelector(action.pattern)
+        ? null
+        : "AssertUrl action requires a 'pattern' (* matches anything).") ||
+      _timeoutProblem("AssertUrl", action),
+    run: (page, action, { step }) =>
+      _expect(
+        page,
+        { step, type: action.type, timeout: action.timeout },
+        async () => ({
+          passed: matchesUrlPattern(action.pattern, page.url()),
+          expected: `a URL matching "${action.pattern}"`,
+          actual: page.url(),
+        })
+      ),
+  },
+  assertStatus: {
+    validate: (action) =>
+      action.status === undefined ||
+      (Number.isInteger(action.status) &&
+        action.status >= 100 &&
+        action.status <= 599)
+        ? null
+        : "AssertStatus action 'status' must be an HTTP status code.",
+    run: (page, action, { step, session }) =>
+      _expect(page, { step, type: action.type }, async () => {
+        const navigation = session.navigations.get(page);
+        const status = navigation ? navigation.status : null;
+        return {
+          passed:
+            status !== null &&
+            (action.status === undefined
+              ? status >= 200 && status < 400
+              : status === action.status),
+          expected:
+            action.status === undefined
+              ? "a 2xx or 3xx status for the last navigation"
+              : `status ${action.status} for the last navigation`,
+          actual: navigation
+            ? `${status} for ${navigation.url}`
+            : "no navigation since the page was watched",
+        };
+      }),
+  },
+  assertNoConsoleErrors: {
+    validate: (action) =>
+      action.ignore === undefined ||
+      (Array.isArray(action.ignore) && action.ignore.every(_isSelector))
+        ? null
+        : "AssertNoConsoleErrors action 'ignore' must be a list of strings.",
+    run: (page, action, { step, session }) =>
+      _expect(page, { step, type: action.type }, async () => {
+        const ignore = action.ignore || [];
+        const errors = session.consoleErrors.filter(
+          (message) => !ignore.some((part) => message.includes(part))
+        );
+        return {
+          passed: errors.length === 0,
+          expected: "no console errors",
+          actual: `${errors.length} error(s): ${errors
+            .slice(0, 3)
+            .map((message) => JSON.stringify(message.split("\n")[0]))
+            .join(", ")}${errors.length > 3 ? ", ..." : ""}`,
+        };
+      }),
+  },
+  if: {
+    validate: (action) =>
+      _conditionProblem("If action 'condition'", action.condition) ||
+      _stepsProblem("If action 'then'", action.then, { allowEmpty: false }) ||
+      (action.else === undefined
+        ? null
+        : _stepsProblem("If action 'else'", action.else, {
+            allowEmpty: true,
+          })),
+    branches: (action) => [
+      ["", action.then],
+      ["else.", action.else || []],
+    ],
+    run: async (page, action, { step, runSteps, logPrefix }) => {
+      const matched = await _checkCondition(page, action.condition);
+      console.log(
+        `${logPrefix} Step ${step}: condition ${JSON.stringify(
+          action.condition
+        )} is ${matched}`
+      );
+      if (matched) {
+        await runSteps(action.then, `${step}.`);
+      } else if (action.else) {
+        await runSteps(action.else, `${step}.else.`);
+      }
+    },
+  },
+  repeat: {
+    validate: (action) =>
+      (Number.isInteger(action.times) &&
+      action.times >= 1 &&
+      action.times <= MAX_REPEAT
+        ? null
+        : `Repeat action requires 'times' (1-${MAX_REPEAT}).`) ||
+      (action.while === undefined
+        ? null
+        : _conditionProblem("Repeat action 'while'", action.while)) ||
+      _stepsProblem("Repeat action 'steps'", action.steps, {
+        allowEmpty: false,
+      }),
+    branches: (action) => [["", action.steps]],
+    run: async (page, action, { session, step, runSteps, logPrefix }) => {
+      let iteration = 0;
+      while (iteration < action.times) {
+        if (
+          action.while &&
+          !(await _checkCondition(session.page, action.while))
+        ) {
+          break;
+        }
+        iteration++;
+        await runSteps(action.steps, `${step}.`, { iteration });
+      }
+      console.log(
+        `${logPrefix} Step ${step}: repeated ${iteration} time(s)${
+          iteration === action.times && action.while ? " (limit reached)" : ""
+        }`
+      );
+    },
+  },
+};
+
+const CONTROL_TYPES = ["if", "repeat"];
+
+export const ACTION_TYPES = Object.keys(ACTIONS);
+
+/**
+ * Checks every action before any of them runs, including nested steps.
+ *
+ * @param {object[]} actions
+ * @param {object} [options]
+ * @param {boolean} [options.allowScreenshots=true] - Whether `screenshot` steps are allowed.
+ * @param {boolean} [options.allowLocalFiles=true] - Whether steps may read local files: `setInputFiles` with paths and `navigate` to non-http(s) URLs such as `file://`.
+ * @returns {object[]} The same list.
+ * @throws {ActionValidationError} For the first invalid step, or an unknown type.
+ */
+export function validateActions(actions, options = {}) {
+  const { allowScreenshots = true, allowLocalFiles = true } = options;
+  if (!Array.isArray(actions)) {
+    throw new ActionValidationError(
+      null,
+      null,
+      "actions must be an array of steps."
+    );
+  }
+  const screenshotNames = new Set();
+
+  const validateSteps = (steps, prefix) =>
+    steps.forEach((action, index) => {
+      const step = prefix ? `${prefix}${index + 1}` : index + 1;
+      if (!action || typeof action !== "object" || Array.isArray(action)) {
+        throw new ActionValidationError(
+          step,
+          null,
+          "each step must be an object with a 'type'."
+        );
+      }
+      if (typeof action.type !== "string") {
+        throw new ActionValidationError(step, null, "missing 'type'.");
+      }
+      const definition = ACTIONS[action.type];
+      if (!definition) {
+        throw new ActionValidationError(
+          step,
+          action.type,
+          `unknown action type. Known types: ${ACTION_TYPES.join(", ")}.`
+        );
+      }
+      const problem = definition.validate(action);
+      if (problem) {
+        throw new ActionValidationError(step, action.type, problem);
+      }
+      if (action.type === "screenshot") {
+        if (!allowScreenshots) {
+          throw new ActionValidationError(
+            step,
+            action.type,
+            "screenshot steps are only supported in screencasts."
+          );
+        }
+        if (screenshotNames.has(action.name)) {
+          throw new ActionValidationError(
+            step,
+            action.type,
+            `another screenshot step is already named "${action.name}".`
+          );
+        }
+        screenshotNames.add(action.name);
+      }
+      if (!allowLocalFiles) {
+        if (action.type === "navigate" && isLocalUrl(action.url)) {
+          throw new ActionValidationError(
+            step,
+            action.type,
+            "only http(s), about: and data: URLs are allowed."
+          );
+        }
+        if (
+          action.type === "setInputFiles" &&
+          [].concat(action.files).some((file) => typeof file === "string")
+        ) {
+          throw new ActionValidationError(
+            step,
+            action.type,
+            "file paths are not allowed; pass inline { name, mimeType, buffer } files."
+          );
+        }
+      }
+      if (
+        action.postActionDelay !== undefined &&
+        typeof action.postActionDelay !== "number"
+      ) {
+        throw new ActionValidationError(
+          step,
+          action.type,
+          "'postActionDelay' must be a number of milliseconds."
+        );
+      }
+      if (
+        action.optional !== undefined &&
+        typeof action.optional !== "boolean"
+      ) {
+        throw new ActionValidationError(
+          step,
+          action.type,
+          "'optional' must be true or false."
+        );
+      }
+      if (definition.branches) {
+        for (const [branch, nested] of definition.branches(action)) {
+          validateSteps(nested, `${step}.${branch}`);
+        }
+      }
+    });
+
+  validateSteps(actions, "");
+  return actions;
+}
+
+/**
+ * Whether `actions` (or any nested step) contains a step of `type`.
+ *
+ * @param {object[]} actions - Validated with validateActions.
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function hasActionType(actions, type) {
+  return actions.some(
+    (action) =>
+      action.type === type ||
+      (ACTIONS[action.type].branches || (() => []))(action).some(([, nested]) =>
+        hasActionType(nested, type)
+      )
+  );
+}
+
+const VARIABLE_PATTERN = /\$(\$?)\{([^}]*)\}/g;
+
+// JavaScript of its own, where `${...}` belongs to template literals. Values
+// reach the script through `arg`, which is substituted.
+const VERBATIM_KEYS = { evaluate: ["script"] };
+
+/**
+ * Replaces `${name}` in every string of `actions` (nested steps and
+ * `options` included) with `variables[name]`, and `${env.NAME}` with the
+ * environment variable. `$${...}` is left as a literal `${...}`. The
+ * `script` of `evaluate` steps is not substituted.
+ *
+ * @param {object[]} actions
+ * @param {object} [variables={}] - Values by name; converted to strings.
+ * @param {object} [options]
+ * @param {object|null} [options.env=process.env] - Where `${env.NAME}` is looked up; `null` disallows it.
+ * @returns {object[]} A substituted copy; `actions` itself is left alone.
+ * @throws {ActionValidationError} For an unknown variable, naming the step.
+ */
+export function applyVariables(actions, variables = {}, options = {}) {
+  const { env = process.env } = options;
+  if (!Array.isArray(actions)) return actions;
+
+  const lookup = (name, step, type) => {
+    if (name.startsWith("env.")) {
+      if (!env) {
+        throw new ActionValidationError(
+          step,
+          type,
+          `environment variables are not available here ("\${${name}}").`
+        );
+      }
+      const value = env[name.slice(4)];
+      if (value === undefined) {
+        throw new ActionValidationError(
+          step,
+          type,
+          `environment variable ${name.slice(4)} is not set.`
+        );
+      }
+      return value;
+    }
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new ActionValidationError(
+        step,
+        type,
+        `unknown variable "\${${name}}".`
+      );
+    }
+    return String(variables[name]);
+  };
+
+  const substitute = (value, step, type) => {
+    if (typeof value === "string") {
+      return value.replace(VARIABLE_PATTERN, (match, escaped, name) =>
+        escaped ? `\${${name}}` : lookup(name.trim(), step, type)
+      );
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => substitute(item, step, type));
+    }
+    if (value && typeof value === "object" && !Buffer.isBuffer(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          substitute(item, step, type),
+        ])
+      );
+    }
+    return value;
+  };
+
+  const substituteSteps = (steps, prefix) =>
+    Array.isArray(steps)
+      ? steps.map((action, index) => {
+          const step = prefix ? `${prefix}${index + 1}` : index + 1;
+          if (!action || typeof action !== "object") return action;
+          const definition = ACTIONS[action.type];
+          const nestedKeys = CONTROL_TYPES.includes(action.type)
+            ? { then: "", else: "else.", steps: "" }
+            : {};
+          const verbatimKeys = VERBATIM_KEYS[action.type] || [];
+          return Object.fromEntries(
+            Object.entries(action).map(([key, value]) => {
+              if (definition && key in nestedKeys) {
+                return [
+                  key,
+                  substituteSteps(value, `${step}.${nestedKeys[key]}`),
+                ];
+              }
+              if (verbatimKeys.includes(key)) return [key, value];
+              return [key, substitute(value, step, action.type)];
+            })
+          );
+        })
+      : steps;
+
+  return substituteSteps(actions, "");
+}
+
+/**
+ * Starts watching `page` (and popups it opens) for dialogs, console errors
+ * and navigations. Call it before the first navigation so `assertStatus` and
+ * `assertNoConsoleErrors` see the whole page load, and pass the result to
+ * runActions as `session`.
+ *
+ * @param {import("playwright").Page} page
+ * @param {object} [options]
+ * @param {string} [options.logPrefix="[Actions]"] - Prefix for log lines.
+ * @returns {object} The session.
+ */
+export function watchPage(page, options = {}) {
+  const { logPrefix = "[Actions]" } = options;
+  const session = {
+    page,
+    pages: [],
+    openers: new Map(),
+    visited: new Set([page]),
+    dialogQueue: [],
+    dialogDefault: null,
+    consoleErrors: [],
+    navigations: new Map(),
+  };
+  const watch = (target) => {
+    session.pages.push(target);
+    target.on("console", (message) => {
+      if (message.type() === "error")
+        session.consoleErrors.push(message.text());
+    });
+    target.on("pageerror", (error) => {
+      session.consoleErrors.push(error.message);
+    });
+    target.on("response", (response) => {
+      if (
+        response.request().isNavigationRequest() &&
+        response.frame() === target.mainFrame()
+      ) {
+        session.navigations.set(target, {
+          url: response.url(),
+          status: response.status(),
+        });
+      }
+    });
+    target.on("dialog", async (dialog) => {
+      const { response, promptText } = session.dialogQueue.shift() ||
+        session.dialogDefault || { response: "dismiss" };
+      console.log(
+        `${logPrefix} ${dialog.type()} dialog "${dialog.message()}": ${response}`
+      );
+      try {
+        if (response === "accept") {
+          await dialog.accept(promptText);
+        } else {
+          await dialog.dismiss();
+        }
+      } catch (e) {
+        console.warn(`${logPrefix} Could not answer dialog: ${e.message}`);
+      }
+    });
+    target.on("popup", (popup) => {
+      console.log(`${logPrefix} Popup opened: ${popup.url()}`);
+      session.openers.set(popup, target);
+      watch(popup);
+    });
+  };
+  watch(page);
+  return session;
+}
+
+/**
+ * Runs `actions` on `page` in order, waiting `postActionDelay` (default
+ * 100ms) after each one.
+ *
+ * @param {import("playwright").Page} page
+ * @param {object[]} actions - Validated with validateActions.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=30000] - Default timeout for navigations and waits.
+ * @param {string} [options.logPrefix="[Actions]"] - Prefix for log lines.
+ * @param {object} [options.session] - From watchPage(page); a new one is started if omitted.
+ * @returns {Promise<{images: Array<{name: string, step: number, format: string, contentType: string, buffer: Buffer}>, page: import("playwright").Page}>} Stills taken by `screenshot` steps, in order, and the page that was active after the last step.
+ * @throws {ActionFailedError} Naming the step that failed; an AssertionFailedError for a failed `assert*` step.
+ */
+export async function runActions(page, actions, options = {}) {
+  const { timeoutMs = 30000, logPrefix = "[Actions]" } = options;
+  const images = [];
+  const session = options.session || watchPage(page, { logPrefix });
+
+  const runSteps = async (steps, prefix, loop = {}) => {
+    for (let i = 0; i < steps.length; i++) {
+      const action = steps[i];
+      const step = prefix ? `${prefix}${i + 1}` : i + 1;
+      const iteration = loop.iteration ? ` (iteration ${loop.iteration})` : "";
+      console.log(
+        `${logPrefix} Action ${step}/${steps.length}${iteration}: ${
+          action.type
+        } ${
+          action.url ||
+          action.name ||
+          action.selector ||
+          action.source ||
+          action.key ||
+          action.duration ||
+          ""
+        }`
+      );
+      try {
+        await ACTIONS[action.type].run(session.page, action, {
+          timeoutMs,
+          images,
+          session,
+          step,
+          logPrefix,
+          nameSuffix: loop.nameSuffix || "",
+          runSteps: (nested, nestedPrefix, nestedLoop = {}) =>
+            runSteps(nested, nestedPrefix, {
+              iteration: nestedLoop.iteration || loop.iteration,
+              nameSuffix: `${loop.nameSuffix || ""}${
+                nestedLoop.iteration ? `-${nestedLoop.iteration}` : ""
+              }`,
+            }),
+        });
+        if (
+          !CONTROL_TYPES.includes(action.type) ||
+          action.postActionDelay !== undefined
+        ) {
+          await session.page.waitForTimeout(action.postActionDelay || 100);
+        }
+      } catch (actionError) {
+        const failure =
+          actionError instanceof ActionFailedError
+            ? actionError
+            : new ActionFailedError(step, action.type, actionError);
+        if (action.optional) {
+          console.warn(
+            `${logPrefix} Optional action ${step} (${
+              action.type
+            }) failed, continuing: ${failure.message.split("\n")[0]}`
+          );
+          continue;
+        }
+        if (
+          failure instanceof AssertionFailedError &&
+          !failure.report.screenshot
+        ) {
+          failure.report.screenshot = await session.page
+            .screenshot()
+            .catch(() => null);
+        }
+        // Failures of nested steps were already logged by their own level.
+        if (failure.step === step) {
+          console.error(
+            `${logPrefix} Error during action ${step} (${action.type}): ${
+              failure.cause instanceof Error
+                ? failure.cause.message.split("\n")[0]
+                : failure.cause
+            }`
+          );
+        }
+        throw failure;
+      }
+    }
+  };
+
+  await runSteps(actions, "");
+  return { images, page: session.page };
+}
+
+/**
+ * Loads an action script from a JSON or YAML file. The file holds either a
+ * list of steps, or an object with `actions` and optionally `url`.
+ *
+ * @param {string} filePath
+ * @returns {{url: string|undefined, actions: object[]}} Validated actions.
+ * @throws {ActionValidationError}
+ */
+export function loadActionScript(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new ActionValidationError(
+      null,
+      null,
+      `script file not found: ${filePath}`
+    );
+  }
+  const text = fs.readFileSync(filePath, "utf-8");
+  const isYaml = [".yaml", ".yml"].includes(
+    path.extname(filePath).toLowerCase()
+  );
+
+  let script;
+  try {
+    script = isYaml ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new ActionValidationError(
+      null,
+      null,
+      `${filePath} is not valid ${isYaml ? "YAML" : "JSON"}: ${
+        e.message.split("\n")[0]
+      }`
+    );
+  }
+
+  const { url, actions } = Array.isArray(script)
+    ? { url: undefined, actions: script }
+    : script || {};
+  if (url !== undefined && typeof url !== "string") {
+    throw new ActionValidationError(
+      null,
+      null,
+      `'url' in ${filePath} must be a string.`
+    );
+  }
+  return { url, actions: validateActions(actions) };
+}
@@ -0,0 +1,433 @@
+// adblock.js
+import path from "path";
+import fs from "fs";
+import { UnsupportedContextOptionError } from "./errors.js";
+
+/**
+ * Adblock profiles
+ *
+ * Chromium only runs extensions inside a persistent context, so every adblock
+ * browser in the pool is a persistent context on its own user-data dir. The
+ * dirs are kept between runs, which means the extension's filter lists are
+ * downloaded once and then reused (or seeded from a local snapshot).
+ */
+
+export const DEFAULT_ADBLOCK_PROBE_URL =
+  "https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js";
+
+/**
+ * Makes sure the user-data dir for a profile slot exists. New dirs are seeded
+ * from `snapshotDir` if one is given.
+ *
+ * @param {string} profileRoot - Directory holding all adblock profiles.
+ * @param {number} slot - Profile slot; one Chromium process per slot at a time.
+ * @param {string} [snapshotDir] - A previously warmed profile to copy from.
+ * @returns {string} The absolute path of the profile dir.
+ */
+export function prepareAdblockProfile(profileRoot, slot, snapshotDir) {
+  const profileDir = path.resolve(profileRoot, `profile-${slot}`);
+  if (fs.existsSync(profileDir)) {
+    return profileDir;
+  }
+
+  if (snapshotDir) {
+    console.log(
+      `[Adblock] Seeding profile ${profileDir} from snapshot ${snapshotDir}`
+    );
+    fs.cpSync(path.resolve(snapshotDir), profileDir, {
+      recursive: true,
+      // Lock files of the browser the snapshot was taken from.
+      filter: (src) => !path.basename(src).startsWith("Singleton"),
+    });
+  } else {
+    fs.mkdirSync(profileDir, { recursive: true });
+  }
+  return profileDir;
+}
+
+function _isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user.
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Locks a profile slot for this process, so pools in other processes sharing
+ * `profileRoot` pick another slot instead of failing on Chromium's profile
+ * lock. The lock is a `profile-<slot>.lock` file holding the owner's pid; a
+ * lock whose owner is gone is taken over.
+ *
+ * @param {string} profileRoot - Directory holding all adblock profiles.
+ * @param {number} slot - Profile slot to lock.
+ * @returns {(() => void) | null} Releases the lock, or `null` if the slot is
+ *   held by a live process (this one included).
+ */
+export function lockAdblockProfileSlot(profileRoot, slot) {
+  fs.mkdirSync(profileRoot, { recursive: true });
+  const lockPath = path.resolve(profileRoot, `profile-${slot}.lock`);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return () => fs.rmSync(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+    let owner;
+    try {
+      owner = Number.parseInt(fs.readFileSync(lockPath, "utf8"), 10);
+    } catch (error) {
+      // Released in the meantime.
+      if (error.code === "ENOENT") continue;
+      throw error;
+    }
+    // An empty file is a lock that is still being written.
+    if (Number.isNaN(owner) || _isAlive(owner)) return null;
+    console.log(
+      `[Adblock] Taking over the lock on profile ${slot} from exited process ${owner}.`
+    );
+    fs.rmSync(lockPath, { force: true });
+  }
+  return null;
+}
+
+/**
+ * Fires a request to `probeUrl` from `page` and reports whether the extension
+ * blocked it (net::ERR_BLOCKED_BY_CLIENT).
+ */
+async function _isProbeBlocked(page, probeUrl, timeoutMs = 5000) {
+  const outcome = new Promise((resolve) => {
+    const timer = setTimeout(() => finish(false), timeoutMs);
+    const onFailed = (request) => {
+      if (request.url() !== probeUrl) return;
+      const failure = request.failure();
+      finish(
+        Boolean(failure && failure.errorText.includes("ERR_BLOCKED_BY_CLIENT"))
+      );
+    };
+    const onFinished = (request) => {
+      if (request.url() === probeUrl) finish(false);
+    };
+    function finish(blocked) {
+      clearTimeout(timer);
+      page.off("requestfailed", onFailed);
+      page.off("requestfinished", onFinished);
+      resolve(blocked);
+    }
+    page.on("requestfailed", onFailed);
+    page.on("requestfinished", onFinished);
+  });
+
+  await page
+    .evaluate(
+      (url) =>
+        fetch(url, { mode: "no-cors", cache: "no-store" }).catch(() => {}),
+      probeUrl
+    )
+    .catch(() => {});
+  return outcome;
+}
+
+/**
+ * Resolves with the extension's service worker (MV3) or background page
+ * (MV2) once it is running, or null if none shows up within `timeoutMs`.
+ */
+async function _waitForExtensionWorker(context, timeoutMs) {
+  const isExtension = (target) =>
+    target.url().startsWith("chrome-extension://");
+  const running = [
+    ...context.serviceWorkers(),
+    ...context.backgroundPages(),
+  ].find(isExtension);
+  if (running) return running;
+
+  const waitFor = (event) =>
+    context
+      .waitForEvent(event, { predicate: isExtension, timeout: timeoutMs })
+      .catch(() => null);
+  return Promise.race([waitFor("serviceworker"), waitFor("backgroundpage")]);
+}
+
+/**
+ * Waits until the adblocker in `context` is usable: first its background
+ * page/service worker has to be up, then its filter engine has to block the
+ * probe request. Never waits longer than `timeoutMs` in total.
+ *
+ * Shared by the single-shot CLI and the pool, so neither needs fixed sleeps.
+ *
+ * @param {import("playwright").BrowserContext} context - A persistent context with the extension loaded.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=30000] - Upper bound for the whole wait.
+ * @param {string} [options.probeUrl] - A URL the loaded filter lists are known to block.
+ * @returns {Promise<{ready: boolean, workerUrl: string|null, elapsedMs: number}>}
+ */
+export async function waitForAdblockReady(context, options = {}) {
+  const { timeoutMs = 30000, probeUrl = DEFAULT_ADBLOCK_PROBE_URL } = options;
+  const startedAt = Date.now();
+  const deadline = startedAt + timeoutMs;
+  const result = (ready, worker) => ({
+    ready,
+    workerUrl: worker ? worker.url() : null,
+    elapsedMs: Date.now() - startedAt,
+  });
+
+  const worker = await _waitForExtensionWorker(context, timeoutMs);
+  if (!worker) {
+    console.warn(
+      `[Adblock] No extension background page or service worker started within ${
+        timeoutMs / 1000
+      }s.`
+    );
+    return result(false, null);
+  }
+
+  const page = await context.newPage();
+  try {
+    while (Date.now() < deadline) {
+      const remainingMs = deadline - Date.now();
+      if (await _isProbeBlocked(page, probeUrl, Math.min(5000, remainingMs))) {
+        return result(true, worker);
+      }
+      await page.waitForTimeout(250);
+    }
+    return result(false, worker);
+  } finally {
+    const video = page.video();
+    await page.close().catch(() => {});
+    if (video) await video.delete().catch(() => {});
+  }
+}
+
+const EMULATION_OPTIONS = [
+  "isMobile",
+  "deviceScaleFactor",
+  "hasTouch",
+  "screen",
+];
+
+function _sameSize(a, b) {
+  return Boolean(a && b && a.width === b.width && a.height === b.height);
+}
+
+/**
+ * Checks that a scope can honour `contextOptions` and throws if it can't.
+ */
+function _checkScopeOptions(contextOptions, videoSize) {
+  const {
+    viewport,
+    userAgent,
+    recordVideo,
+    extraHTTPHeaders,
+    isMobile,
+    deviceScaleFactor,
+    hasTouch,
+    screen,
+    // Part of Playwright's device descriptors, not a context option.
+    defaultBrowserType,
+    ...unsupported
+  } = contextOptions;
+  const rejected = Object.keys(unsupported).filter(
+    (key) => unsupported[key] !== undefined
+  );
+  if (rejected.length > 0) {
+    throw new UnsupportedContextOptionError(
+      rejected,
+      `Adblock browsers can't apply these context options per task: ${rejected.join(
+        ", "
+      )}.`
+    );
+  }
+  const emulated = EMULATION_OPTIONS.filter(
+    (key) => contextOptions[key] !== undefined
+  );
+  if (emulated.length > 0 && !viewport) {
+    throw new UnsupportedContextOptionError(
+      emulated,
+      `Adblock browsers need a viewport to emulate ${emulated.join(", ")}.`
+    );
+  }
+  if (
+    recordVideo &&
+    recordVideo.size &&
+    !_sameSize(recordVideo.size, videoSize)
+  ) {
+    const { width, height } = recordVideo.size;
+    throw new UnsupportedContextOptionError(
+      ["recordVideo.size"],
+      `Adblock browsers record videos at the size they were launched with (${
+        videoSize
+          ? `${videoSize.width}x${videoSize.height}`
+          : "Playwright's default"
+      }), not ${width}x${height}. Set recordVideo.size in the group's launchOptions.`
+    );
+  }
+}
+
+/**
+ * Applies the user agent and device emulation of `contextOptions` to `page`
+ * over CDP, since a persistent context only takes them at launch. The
+ * session stays attached: Chromium drops its overrides when it detaches.
+ */
+async function _emulate(persistentContext, page, contextOptions) {
+  const { viewport, userAgent, isMobile, deviceScaleFactor, hasTouch, screen } =
+    contextOptions;
+  const emulatesDevice = EMULATION_OPTIONS.some(
+    (key) => contextOptions[key] !== undefined
+  );
+  if (!userAgent && !emulatesDevice) return;
+
+  const session = await persistentContext.newCDPSession(page);
+  if (userAgent) {
+    await session.send("Emulation.setUserAgentOverride", { userAgent });
+  }
+  if (emulatesDevice) {
+    await session.send("Emulation.setDeviceMetricsOverride", {
+      width: viewport.width,
+      height: viewport.height,
+      // 0 keeps the browser's own scale factor.
+      deviceScaleFactor: deviceScaleFactor || 0,
+      mobile: Boolean(isMobile),
+      screenWidth: screen ? screen.width : viewport.width,
+      screenHeight: screen ? screen.height : viewport.height,
+    });
+    await session.send("Emulation.setTouchEmulationEnabled", {
+      enabled: Boolean(hasTouch),
+      maxTouchPoints: hasTouch ? 1 : 0,
+    });
+  }
+}
+
+/**
+ * Clears all cookies and the HTTP cache, plus the storage (localStorage,
+ * IndexedDB, Cache Storage, service workers, ...) of `origins`.
+ */
+async function _clearBrowsingData(persistentContext, page, origins = []) {
+  const session = await persistentContext.newCDPSession(page);
+  try {
+    await session.send("Network.clearBrowserCookies");
+    await session.send("Network.clearBrowserCache");
+    for (const origin of origins) {
+      await session.send("Storage.clearDataForOrigin", {
+        origin,
+        storageTypes: "all",
+      });
+    }
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+/**
+ * Wraps a persistent context in the subset of the Browser API the pool and
+ * its task functions use. Each `newContext()` call returns a scope whose
+ * pages live in the shared persistent context (and thus see the extension).
+ *
+ * Scopes are meant to be used one at a time (the pool runs one task per
+ * adblock browser). Each starts without cookies or cached responses, and
+ * closing it clears the cookies, cache and storage of every origin its pages
+ * sent requests to. The user agent and device emulation, which Chromium only
+ * takes at launch for persistent contexts, are applied to each page over CDP.
+ * Options that can't be honoured this way throw. Videos are only kept for
+ * scopes that asked for them.
+ *
+ * @param {import("playwright").BrowserContext} persistentContext
+ * @param {object} [options]
+ * @param {{width: number, height: number}} [options.videoSize] - The `recordVideo.size` the context was launched with.
+ */
+export function wrapPersistentContext(persistentContext, options = {}) {
+  const { videoSize } = options;
+  let connected = true;
+  const disconnectedListeners = [];
+
+  persistentContext.on("close", () => {
+    connected = false;
+    disconnectedListeners.forEach((listener) => listener());
+  });
+
+  async function newContext(contextOptions = {}) {
+    _checkScopeOptions(contextOptions, videoSize);
+    const { viewport, recordVideo, extraHTTPHeaders } = contextOptions;
+
+    const pages = [];
+    const origins = new Set();
+    const popups = new Set();
+    let closed = false;
+
+    // Popups belong to the scope too: they get its emulation, their
+    // requests are tracked and they are closed with it.
+    const track = (page, popup = false) => {
+      pages.push(page);
+      if (popup) popups.add(page);
+      page.on("request", (request) => {
+        const { protocol, origin } = new URL(request.url());
+        if (protocol === "http:" || protocol === "https:") origins.add(origin);
+      });
+      page.on("popup", (popup) => {
+        track(popup, true);
+        _emulate(persistentContext, popup, contextOptions).catch(() => {});
+      });
+    };
+
+    const scope = {
+      async newPage() {
+        if (closed) throw new Error("Context has been closed.");
+        const page = await persistentContext.newPage();
+        if (pages.length === 0) {
+          await _clearBrowsingData(persistentContext, page);
+        }
+        track(page);
+        if (viewport) await page.setViewportSize(viewport);
+        await _emulate(persistentContext, page, contextOptions);
+        if (extraHTTPHeaders) await page.setExtraHTTPHeaders(extraHTTPHeaders);
+        return page;
+      },
+      pages: () => pages.filter((p) => !p.isClosed()),
+      async close() {
+        if (closed) return;
+        closed = true;
+        // The videos of pages the caller opened itself are left for it to
+        // read; it has to delete() them afterwards.
+        for (const page of pages) {
+          const video = page.video();
+          await page.close().catch(() => {});
+          if (video && (!recordVideo || popups.has(page))) {
+            await video.delete().catch(() => {});
+          }
+        }
+        if (!connected || origins.size === 0) return;
+        // Keep the next task from seeing this one's session.
+        const page = await persistentContext.newPage().catch(() => null);
+        if (!page) return;
+        try {
+          await _clearBrowsingData(persistentContext, page, [...origins]);
+        } catch (error) {
+          console.warn(
+            `[Adblock] Failed to clear browsing data: ${
+              error.message.split("\n")[0]
+            }`
+          );
+        } finally {
+          const video = page.video();
+          await page.close().catch(() => {});
+          if (video) await video.delete().catch(() => {});
+        }
+      },
+    };
+    return scope;
+  }
+
+  return {
+    persistentContext,
+    newContext,
+    isConnected: () => connected,
+    on(event, listener) {
+      if (event === "disconnected") disconnectedListeners.push(listener);
+    },
+    close: () => persistentContext.close(),
+  };
+}
@@ -0,0 +1,578 @@
+// batch.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  getBrowserPool,
+  TaskCancelledError,
+  VisualRegressionError,
+} from "./wirklich.js";
+import { CLI_FLAGS } from "./screenshotter.js";
+import { parseCommandLine, formatHelp, buildOptions } from "./cli.js";
+import { CliUsageError } from "./errors.js";
+
+/**
+ * Batch mode
+ *
+ * Captures many URLs through one warm browser pool instead of launching a
+ * browser per URL. The input is a text file (one URL per line), a CSV (a `url`
+ * column plus one column per createScreenshotTask option) or a sitemap.xml
+ * (local path or URL). Every capture is written to the output directory, and
+ * the run ends with a manifest of what happened to each URL.
+ */
+
+const MAX_NESTED_SITEMAPS = 50;
+
+// Flags shared with screenshotter.js, and the option each one sets here.
+const SHARED_FLAG_OPTIONS = {
+  fullPage: "taskDefaults.full_page_screenshot",
+  format: "taskDefaults.output_format",
+  quality: "taskDefaults.quality",
+  maxWidth: "taskDefaults.max_width",
+  deviceName: "taskDefaults.device_name",
+  viewportWidth: "taskDefaults.viewport_width",
+  viewportHeight: "taskDefaults.viewport_height",
+  blockAds: "taskDefaults.use_adblock",
+  adblockPath: "poolOptions.adblockExtensionPath",
+  headless: "headless",
+};
+
+export const BATCH_FLAGS = [
+  {
+    name: "outputDir",
+    type: "string",
+    default: "./batch",
+    description: "Directory for the captures and the manifest.",
+  },
+  {
+    name: "concurrency",
+    type: "integer",
+    min: 1,
+    default: 2,
+    description: "Browsers per type, i.e. captures running at once.",
+  },
+  {
+    name: "manifest",
+    type: "string",
+    choices: ["json", "csv", "both"],
+    default: "json",
+    option: "manifestFormat",
+    description: "Manifest file(s) to write.",
+  },
+  {
+    name: "maxRetries",
+    type: "integer",
+    min: 0,
+    option: "taskDefaults.max_retries",
+    description: "Retries per URL if a capture fails.",
+  },
+  {
+    name: "taskTimeoutMs",
+    type: "integer",
+    min: 1,
+    max: 2 ** 31 - 1,
+    option: "poolOptions.taskTimeoutMs",
+    description: "Milliseconds a capture may take, retries included.",
+  },
+  ...CLI_FLAGS.filter((spec) => spec.name in SHARED_FLAG_OPTIONS).map(
+    (spec) => ({ ...spec, option: SHARED_FLAG_OPTIONS[spec.name] })
+  ),
+];
+
+/**
+ * Parses a URL list: one URL per line, blank lines and `#` comments ignored.
+ *
+ * @param {string} text
+ * @returns {Array<{url: string, options: object}>}
+ */
+export function parseUrlList(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((url) => ({ url, options: {} }));
+}
+
+/**
+ * Splits CSV text into rows of fields. Handles quoted fields with commas,
+ * newlines and doubled quotes ("").
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+function _coerceCsvValue(value) {
+  const trimmed = value.trim();
+  if (trimmed === "") return undefined;
+  if (["true", "yes"].includes(trimmed.toLowerCase())) return true;
+  if (["false", "no"].includes(trimmed.toLowerCase())) return false;
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      // Not JSON after all, keep the string.
+    }
+  }
+  return trimmed;
+}
+
+/**
+ * Parses a CSV whose header names a `url` column and, optionally, any
+ * createScreenshotTask options (e.g. `device_name`, `full_page_screenshot`).
+ * Empty cells fall back to the batch defaults.
+ *
+ * @param {string} text
+ * @returns {Array<{url: string, options: object}>}
+ */
+export function parseCsvEntries(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  const urlIndex = columns.indexOf("url");
+  if (urlIndex === -1) {
+    throw new Error(
+      `CSV input needs a "url" column. Found: ${columns.join(", ")}`
+    );
+  }
+
+  return rows.map((fields, rowIndex) => {
+    const url = (fields[urlIndex] || "").trim();
+    if (!url) {
+      throw new Error(`CSV row ${rowIndex + 2} has no url.`);
+    }
+    const options = {};
+    columns.forEach((column, index) => {
+      if (index === urlIndex || !column) return;
+      const value = _coerceCsvValue(fields[index] || "");
+      if (value !== undefined) options[column] = value;
+    });
+    return { url, options };
+  });
+}
+
+function _decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Extracts the page URLs of a `<urlset>` sitemap and the child sitemap URLs
+ * of a `<sitemapindex>`.
+ *
+ * @param {string} xml
+ * @returns {{urls: string[], sitemaps: string[]}}
+ */
+export function parseSitemap(xml) {
+  const locsIn = (tag) =>
+    [...xml.matchAll(new RegExp(`<${tag}[\\s>][\\s\\S]*?</${tag}>`, "g"))]
+      .map(([block]) => block.match(/<loc>\s*([\s\S]*?)\s*<\/loc>/))
+      .filter(Boolean)
+      .map(([, loc]) =>
+        _decodeXmlEntities(loc.replace(/^<!\[CDATA\[|\]\]>$/g, ""))
+      );
+  return { urls: locsIn("url"), sitemaps: locsIn("sitemap") };
+}
+
+async function _readSource(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(
+        `Fetching ${source} failed: ${response.status} ${response.statusText}`
+      );
+    }
+    return response.text();
+  }
+  if (!fs.existsSync(source)) {
+    throw new Error(`Batch input not found: ${source}`);
+  }
+  return fs.readFileSync(source, "utf-8");
+}
+
+async function _readSitemapUrls(source, text, seen) {
+  const { urls, sitemaps } = parseSitemap(text);
+  for (const sitemap of sitemaps) {
+    if (seen.has(sitemap)) continue;
+    if (seen.size >= MAX_NESTED_SITEMAPS) {
+      console.warn(
+        `[Batch] Sitemap index ${source} lists more than ${MAX_NESTED_SITEMAPS} sitemaps. Skipping the rest.`
+      );
+      break;
+    }
+    seen.add(sitemap);
+    console.log(`[Batch] Reading nested sitemap ${sitemap}`);
+    urls.push(
+      ...(await _readSitemapUrls(sitemap, await _readSource(sitemap), seen))
+    );
+  }
+  return urls;
+}
+
+/**
+ * Reads batch entries from a URL list, CSV or sitemap. The kind is picked by
+ * extension (`.csv`, `.xml`) and, failing that, by sniffing for XML.
+ *
+ * @param {string} source - File path, or URL of a sitemap.
+ * @returns {Promise<Array<{url: string, options: object}>>}
+ */
+export async function readBatchInput(source) {
+  const text = await _readSource(source);
+  const extension = path.extname(source.split(/[?#]/)[0]).toLowerCase();
+
+  if (extension === ".csv") {
+    return parseCsvEntries(text);
+  }
+  if (extension === ".xml" || /^\s*(<\?xml|<urlset|<sitemapindex)/.test(text)) {
+    const urls = await _readSitemapUrls(source, text, new Set([source]));
+    return urls.map((url) => ({ url, options: {} }));
+  }
+  return parseUrlList(text);
+}
+
+function _urlSlug(url) {
+  return (
+    url
+      .replace(/^https?:\/\//, "")
+      .replace(/[^\w.-]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 80) || "page"
+  );
+}
+
+function _csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = Array.isArray(value) ? value.join(";") : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const MANIFEST_COLUMNS = [
+  "index",
+  "url",
+  "status",
+  "output",
+  "durationMs",
+  "error",
+  "browserCrashes",
+  "comparisonPassed",
+  "comparisonScore",
+  "diffOutput",
+];
+
+/**
+ * Writes the manifest as `manifest.json` and/or `manifest.csv`.
+ *
+ * @returns {string[]} The written paths.
+ */
+export function writeManifest(manifest, outputDir, manifestFormat = "json") {
+  const written = [];
+  if (manifestFormat === "json" || manifestFormat === "both") {
+    const jsonPath = path.join(outputDir, "manifest.json");
+    fs.writeFileSync(jsonPath, JSON.stringify(manifest, null, 2));
+    written.push(jsonPath);
+  }
+  if (manifestFormat === "csv" || manifestFormat === "both") {
+    const csvPath = path.join(outputDir, "manifest.csv");
+    const lines = [
+      MANIFEST_COLUMNS.join(","),
+      ...manifest.entries.map((entry) =>
+        MANIFEST_COLUMNS.map((column) => _csvField(entry[column])).join(",")
+      ),
+    ];
+    fs.writeFileSync(csvPath, `${lines.join("\n")}\n`);
+    written.push(csvPath);
+  }
+  return written;
+}
+
+/**
+ * Captures every entry through one browser pool and writes a manifest.
+ *
+ * @param {Array<{url: string, options?: object}>} entries - See readBatchInput.
+ * @param {object} [options]
+ * @param {string} [options.outputDir="."] - Where captures and the manifest go.
+ * @param {number} [options.concurrency=2] - Browsers per type, i.e. captures running at once. Entries are only handed to the pool as browsers can take them, so the pool's queue stays short.
+ * @param {object} [options.taskDefaults={}] - createScreenshotTask options applied to every entry (rows override them).
+ * @param {object} [options.poolOptions={}] - Extra getBrowserPool options.
+ * @param {"json"|"csv"|"both"} [options.manifestFormat="json"] - Manifest file(s) to write.
+ * @param {AbortSignal} [options.signal] - Cancels the remaining captures; the manifest is still written.
+ * @returns {Promise<{manifest: object, manifestPaths: string[]}>}
+ */
+export async function runBatch(entries, options = {}) {
+  const {
+    outputDir = ".",
+    concurrency = 2,
+    taskDefaults = {},
+    poolOptions = {},
+    manifestFormat = "json",
+    signal,
+  } = options;
+
+  if (!["json", "csv", "both"].includes(manifestFormat)) {
+    throw new Error(
+      `Unknown manifest format "${manifestFormat}". Use json, csv or both.`
+    );
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${concurrency}". Use 1 or more.`);
+  }
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const needsAdblock = entries.some(
+    (entry) => ({ ...taskDefaults, ...entry.options }.use_adblock)
+  );
+  const pool = await getBrowserPool({
+    pool_size_default: concurrency,
+    pool_size_adblock: needsAdblock ? concurrency : 0,
+    ...poolOptions,
+  });
+
+  const startedAt = new Date();
+  const digits = String(entries.length).length;
+  let finished = 0;
+
+  async function captureEntry({ url, options: rowOptions = {} }, index) {
+    const record = {
+      index: index + 1,
+      url,
+      status: "failed",
+      output: null,
+      durationMs: null,
+      error: null,
+      browserCrashes: 0,
+      comparisonPassed: null,
+      comparisonScore: null,
+      diffOutput: null,
+    };
+    let baseName;
+    // Tasks with compare_with keep their diff next to the capture, whether
+    // the comparison passed or not.
+    const recordComparison = (report) => {
+      record.comparisonPassed = report.passed;
+      record.comparisonScore = report.score;
+      record.diffOutput = `${baseName}-diff.png`;
+      fs.writeFileSync(record.diffOutput, report.diffImage);
+    };
+    let taskStartedAt;
+    let handle;
+
+    try {
+      const taskObject = pool.createScreenshotTask({
+        ...taskDefaults,
+        ...rowOptions,
+        url,
+      });
+      baseName = path.join(
+        outputDir,
+        `${String(index + 1).padStart(digits, "0")}-${_urlSlug(url)}`
+      );
+      handle = pool.queueScreenshotTask(
+        {
+          ...taskObject,
+          taskFn: (browser, context) => {
+            taskStartedAt = Date.now();
+            return taskObject.taskFn(browser, context);
+          },
+        },
+        0,
+        { signal }
+      );
+      const result = await handle;
+
+      if (taskObject.returnsElements) {
+        record.output = result.map(({ buffer }, elementIndex) => {
+          const filename = `${baseName}-el${elementIndex + 1}.${
+            taskObject.fileExtension
+          }`;
+          fs.writeFileSync(filename, buffer);
+          return filename;
+        });
+      } else if (taskObject.returnsComparison) {
+        record.output = `${baseName}.${taskObject.fileExtension}`;
+        fs.writeFileSync(record.output, result.image);
+        recordComparison(result.comparison);
+      } else {
+        record.output = `${baseName}.${taskObject.fileExtension}`;
+        fs.writeFileSync(record.output, result);
+      }
+      record.status = "ok";
+    } catch (error) {
+      if (error instanceof VisualRegressionError) {
+        recordComparison(error.report);
+      }
+      record.status =
+        error instanceof TaskCancelledError ? "cancelled" : "failed";
+      record.error = error.message.split("\n")[0];
+    }
+    if (taskStartedAt) record.durationMs = Date.now() - taskStartedAt;
+    // Tasks are requeued when their browser crashes; see maxCrashRetries.
+    if (handle) record.browserCrashes = handle.metadata.crashes.length;
+
+    finished++;
+    console.log(
+      `[Batch] (${finished}/${entries.length}) ${record.status} ${url}${
+        record.status === "ok"
+          ? ` -> ${[].concat(record.output).join(", ")} (${
+              record.durationMs
+            }ms)`
+          : `: ${record.error}`
+      }`
+    );
+    return record;
+  }
+
+  // As many captures in flight as the pool can run at once; the rest wait
+  // here rather than in the pool's queue.
+  const maxInFlight =
+    concurrency *
+    (needsAdblock ? 2 : 1) *
+    (poolOptions.maxPagesPerBrowser || 1);
+  const records = new Array(entries.length);
+  let nextIndex = 0;
+  async function worker() {
+    while (nextIndex < entries.length) {
+      const index = nextIndex++;
+      records[index] = await captureEntry(entries[index], index);
+    }
+  }
+  try {
+    await Promise.all(
+      Array.from({ length: Math.min(maxInFlight, entries.length) }, worker)
+    );
+  } finally {
+    await pool.shutdown();
+  }
+
+  const manifest = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    total: records.length,
+    succeeded: records.filter((r) => r.status === "ok").length,
+    failed: records.filter((r) => r.status !== "ok").length,
+    entries: records,
+  };
+  const manifestPaths = writeManifest(manifest, outputDir, manifestFormat);
+  return { manifest, manifestPaths };
+}
+
+const __currentFilePath = fileURLToPath(import.meta.url);
+if (process.argv[1] === __currentFilePath) {
+  let cliOptions;
+  try {
+    const { flags, positionals, help } = parseCommandLine(
+      process.argv.slice(2),
+      BATCH_FLAGS
+    );
+    if (help) {
+      console.log(
+        formatHelp(BATCH_FLAGS, {
+          usage:
+            "node batch.js <urls.txt|urls.csv|sitemap.xml|https://.../sitemap.xml> [options]",
+          footer:
+            "Exit codes: 0 all captured, 1 some captures failed, 64 invalid usage.",
+        })
+      );
+      process.exit(0);
+    }
+    if (positionals.length !== 1) {
+      throw new CliUsageError(
+        positionals.length === 0
+          ? "No input given. Pass a URL list, a CSV or a sitemap."
+          : `Expected one input, got ${positionals.length}: ${positionals.join(
+              " "
+            )}`
+      );
+    }
+
+    const { headless, ...options } = buildOptions(BATCH_FLAGS, flags);
+    cliOptions = {
+      ...options,
+      input: positionals[0],
+      taskDefaults: {
+        ...options.taskDefaults,
+        emulate_device: Boolean(options.taskDefaults.device_name),
+      },
+      poolOptions: {
+        ...options.poolOptions,
+        playwrightLaunchOptionsDefault: { headless },
+        playwrightLaunchOptionsAdblock: { headless },
+      },
+    };
+  } catch (err) {
+    if (!(err instanceof CliUsageError)) throw err;
+    console.error(`❌ ${err.message}`);
+    console.error("👉 Run with --help to see all options.");
+    process.exit(64);
+  }
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    console.log("\n[Batch] Interrupted. Cancelling remaining captures...");
+    controller.abort("interrupted");
+  });
+
+  readBatchInput(cliOptions.input)
+    .then((entries) => {
+      if (entries.length === 0) {
+        throw new Error(`No URLs found in ${cliOptions.input}`);
+      }
+      console.log(
+        `[Batch] ${entries.length} URL(s) from ${cliOptions.input}, concurrency ${cliOptions.concurrency}.`
+      );
+      return runBatch(entries, { ...cliOptions, signal: controller.signal });
+    })
+    .then(({ manifest, manifestPaths }) => {
+      console.log(
+        `\n${manifest.failed === 0 ? "🎉" : "⚠️"} ${manifest.succeeded}/${
+          manifest.total
+        } captured. Manifest: ${manifestPaths.join(", ")}`
+      );
+      process.exit(manifest.failed === 0 ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error("\n❌ Batch failed:", err.message);
+      process.exit(1);
+    });
+}
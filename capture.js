@@ -0,0 +1,453 @@
+// capture.js
+import { ElementNotFoundError } from "./errors.js";
+
+/**
+ * Output rendering shared by the single-shot CLI (screenshotter.js) and the
+ * pool (wirklich.js), so both produce the same files from the same options.
+ */
+
+export const PDF_MEDIA_TYPES = ["print", "screen"];
+export const IMAGE_FORMATS = ["png", "jpeg", "webp"];
+export const FILE_EXTENSIONS = {
+  png: "png",
+  jpeg: "jpg",
+  webp: "webp",
+  pdf: "pdf",
+};
+export const CONTENT_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  pdf: "application/pdf",
+};
+
+/**
+ * Parses a CSS-like margin shorthand ("1cm", "1cm 2cm", "1cm,2cm,1cm,2cm")
+ * into the `{ top, right, bottom, left }` object page.pdf expects.
+ *
+ * @param {string|object|undefined} margin
+ * @returns {object|undefined}
+ */
+export function parsePdfMargin(margin) {
+  if (!margin || typeof margin === "object") return margin;
+  const parts = String(margin)
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  if (parts.length === 0 || parts.length > 4) {
+    throw new Error(
+      `Invalid PDF margin "${margin}". Use 1 to 4 values, e.g. "1cm" or "1cm,2cm".`
+    );
+  }
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+// The page.pdf options callers may set. Everything else (notably `path`,
+// which would write to the server's filesystem) is refused.
+const PDF_OPTION_KEYS = [
+  "media",
+  "format",
+  "margin",
+  "printBackground",
+  "headerTemplate",
+  "footerTemplate",
+  "landscape",
+  "scale",
+  "pageRanges",
+];
+
+/**
+ * Throws if `options` has a key renderPdf doesn't accept, or a bad value.
+ *
+ * @param {object} [options]
+ */
+export function validatePdfOptions(options = {}) {
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("PDF options must be an object.");
+  }
+  const unknown = Object.keys(options).filter(
+    (key) => !PDF_OPTION_KEYS.includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown PDF option(s): ${unknown.join(
+        ", "
+      )}. Use any of: ${PDF_OPTION_KEYS.join(", ")}.`
+    );
+  }
+  const { media = "print", margin } = options;
+  if (!PDF_MEDIA_TYPES.includes(media)) {
+    throw new Error(
+      `Unknown PDF media "${media}". Use one of: ${PDF_MEDIA_TYPES.join(", ")}.`
+    );
+  }
+  parsePdfMargin(margin);
+}
+
+/**
+ * Renders `page` to PDF and returns it; nothing is written to disk.
+ *
+ * @param {import("playwright").Page} page
+ * @param {object} [options]
+ * @param {"print"|"screen"} [options.media="print"] - CSS media type to render with.
+ * @param {string} [options.format="A4"] - Paper format (ignored if width/height are given).
+ * @param {string|object} [options.margin] - Margins, as an object or a shorthand string (see parsePdfMargin).
+ * @param {boolean} [options.printBackground=true] - Whether to print background graphics.
+ * @param {string} [options.headerTemplate] - HTML for the page header. Enables header/footer display.
+ * @param {string} [options.footerTemplate] - HTML for the page footer. Enables header/footer display.
+ * @param {boolean} [options.landscape=false] - Landscape paper orientation.
+ * @param {number} [options.scale] - Rendering scale (0.1..2).
+ * @param {string} [options.pageRanges] - Pages to print, e.g. "1-3, 5".
+ * @returns {Promise<Buffer>}
+ * @throws {Error} If `options` has a key other than the ones above.
+ */
+export async function renderPdf(page, options = {}) {
+  validatePdfOptions(options);
+  const {
+    media = "print",
+    format = "A4",
+    margin,
+    printBackground = true,
+    headerTemplate,
+    footerTemplate,
+    landscape,
+    scale,
+    pageRanges,
+  } = options;
+
+  const displayHeaderFooter = Boolean(headerTemplate || footerTemplate);
+  await page.emulateMedia({ media });
+  return page.pdf({
+    format,
+    margin: parsePdfMargin(margin),
+    printBackground,
+    displayHeaderFooter,
+    // Chromium prints its own default header/footer for the missing one.
+    ...(displayHeaderFooter && {
+      headerTemplate: headerTemplate || "<span></span>",
+      footerTemplate: footerTemplate || "<span></span>",
+    }),
+    ...(landscape !== undefined && { landscape }),
+    ...(scale !== undefined && { scale }),
+    ...(pageRanges !== undefined && { pageRanges }),
+  });
+}
+
+/**
+ * Throws if the image output options don't fit together.
+ *
+ * @param {object} options
+ * @param {string} [options.format="png"] - One of IMAGE_FORMATS.
+ * @param {number} [options.quality] - 0..100, jpeg and webp only.
+ * @param {boolean} [options.omitBackground=false] - Transparent background, png and webp only.
+ * @param {number} [options.maxWidth] - Images wider than this are scaled down, in image pixels.
+ */
+export function validateImageOptions(options = {}) {
+  const { format = "png", quality, omitBackground = false, maxWidth } = options;
+  if (!IMAGE_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown image format "${format}". Use one of: ${IMAGE_FORMATS.join(
+        ", "
+      )}.`
+    );
+  }
+  if (quality !== undefined && quality !== null) {
+    if (format === "png") {
+      throw new Error("quality only applies to jpeg and webp output.");
+    }
+    if (!Number.isInteger(quality) || quality < 0 || quality > 100) {
+      throw new Error(
+        `Invalid quality "${quality}". Use an integer from 0 to 100.`
+      );
+    }
+  }
+  if (omitBackground && format === "jpeg") {
+    throw new Error(
+      "JPEG has no transparency. Use png or webp with omitBackground."
+    );
+  }
+  if (
+    maxWidth !== undefined &&
+    maxWidth !== null &&
+    !(Number.isInteger(maxWidth) && maxWidth > 0)
+  ) {
+    throw new Error(
+      `Invalid maxWidth "${maxWidth}". Use a positive number of pixels.`
+    );
+  }
+}
+
+// Width from the IHDR chunk, which always directly follows the signature.
+function _pngWidth(buffer) {
+  return buffer.readUInt32BE(16);
+}
+
+// Never resolved: every request to it is answered by the encoder page's route.
+const ENCODER_ORIGIN = "http://wirklich-encoder.invalid";
+
+/**
+ * Re-encodes a PNG with the browser's canvas, which gives us scaling and WebP
+ * without an image library. This runs in a blank page of its own in the same
+ * context, so scripts of the captured site can't tamper with the encoding,
+ * and both images travel as request bodies rather than base64 strings.
+ */
+async function _encodeInBrowser(page, pngBuffer, { format, quality, width }) {
+  const encoder = await page.context().newPage();
+  let encoded = null;
+  try {
+    await encoder.route(`${ENCODER_ORIGIN}/**`, (route) => {
+      const request = route.request();
+      const { pathname, searchParams } = new URL(request.url());
+      if (pathname === "/source.png") {
+        return route.fulfill({ contentType: "image/png", body: pngBuffer });
+      }
+      if (pathname === "/result") {
+        encoded = {
+          type: searchParams.get("type"),
+          data: request.postDataBuffer(),
+        };
+        return route.fulfill({ status: 204 });
+      }
+      return route.fulfill({ contentType: "text/html", body: "" });
+    });
+    await encoder.goto(`${ENCODER_ORIGIN}/`);
+    await encoder.evaluate(
+      async ({ mimeType, quality, width }) => {
+        const source = await (await fetch("/source.png")).blob();
+        const bitmap = await createImageBitmap(source);
+        const height = Math.max(
+          1,
+          Math.round((bitmap.height * width) / bitmap.width)
+        );
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext("2d");
+        ctx.imageSmoothingQuality = "high";
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        const blob = await canvas.convertToBlob({
+          type: mimeType,
+          quality: typeof quality === "number" ? quality / 100 : undefined,
+        });
+        await fetch(`/result?type=${encodeURIComponent(blob.type)}`, {
+          method: "POST",
+          body: blob,
+        });
+      },
+      { mimeType: CONTENT_TYPES[format], quality, width }
+    );
+  } finally {
+    const video = encoder.video();
+    await encoder.close().catch(() => {});
+    if (video) await video.delete().catch(() => {});
+  }
+  if (!encoded || !encoded.data) {
+    throw new Error(`The browser did not return the encoded ${format} image.`);
+  }
+  // Browsers silently fall back to PNG when they can't encode the format
+  // (e.g. WebP beyond 16383px).
+  if (encoded.type !== CONTENT_TYPES[format]) {
+    throw new Error(
+      `The browser could not encode a ${width}px wide image as ${format} (got ${encoded.type}).`
+    );
+  }
+  return encoded.data;
+}
+
+/**
+ * Screenshots `page` as PNG, JPEG or WebP.
+ *
+ * PNG and JPEG come straight from page.screenshot. WebP output and scaling
+ * down to `maxWidth` take a lossless PNG first and re-encode it in a blank
+ * page of the same context.
+ *
+ * @param {import("playwright").Page} page
+ * @param {object} [options] - Any page.screenshot option except `type` and `path`, plus:
+ * @param {"png"|"jpeg"|"webp"} [options.format="png"] - Output format.
+ * @param {number} [options.quality] - 0..100, jpeg and webp only.
+ * @param {boolean} [options.omitBackground=false] - Transparent background, png and webp only.
+ * @param {number} [options.maxWidth] - Scale the image down (keeping its aspect ratio) if it is wider.
+ * @returns {Promise<Buffer>}
+ */
+export async function captureImage(page, options = {}) {
+  const {
+    format = "png",
+    quality,
+    omitBackground = false,
+    maxWidth,
+    ...screenshotOptions
+  } = options;
+  validateImageOptions({ format, quality, omitBackground, maxWidth });
+
+  if (format !== "webp" && !maxWidth) {
+    return page.screenshot({
+      ...screenshotOptions,
+      type: format,
+      omitBackground,
+      ...(format === "jpeg" && typeof quality === "number" && { quality }),
+    });
+  }
+
+  const png = await page.screenshot({
+    ...screenshotOptions,
+    type: "png",
+    omitBackground,
+  });
+  const width = Math.min(_pngWidth(png), maxWidth || Infinity);
+  if (format === "png" && width === _pngWidth(png)) return png;
+  return _encodeInBrowser(page, png, { format, quality, width });
+}
+
+function _normalizePadding(padding = 0) {
+  if (typeof padding === "number") {
+    return { top: padding, right: padding, bottom: padding, left: padding };
+  }
+  const { top = 0, right = 0, bottom = 0, left = 0 } = padding;
+  return { top, right, bottom, left };
+}
+
+/**
+ * Parses a padding shorthand ("10", "10,20", "10,20,10,20") into the
+ * `{ top, right, bottom, left }` object captureClip/captureElements accept.
+ */
+export function parsePadding(padding) {
+  if (padding === undefined || padding === null || padding === "") return 0;
+  if (typeof padding !== "string") return padding;
+  const values = padding
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (values.length === 0 || values.length > 4 || values.some(isNaN)) {
+    throw new Error(
+      `Invalid padding "${padding}". Use 1 to 4 numbers, e.g. "10" or "10,20".`
+    );
+  }
+  const [top, right = top, bottom = top, left = right] = values;
+  return { top, right, bottom, left };
+}
+
+/**
+ * Parses "x,y,width,height" into a clip rectangle. Rectangles passed as
+ * objects are checked and returned as they are.
+ */
+export function parseClip(clip) {
+  if (!clip) return clip;
+  let rect = clip;
+  if (typeof clip === "string") {
+    const values = clip
+      .split(",")
+      .map((value) => (value.trim() ? Number(value) : NaN));
+    const [x, y, width, height] = values;
+    rect = values.length === 4 ? { x, y, width, height } : null;
+  }
+  if (
+    !rect ||
+    typeof rect !== "object" ||
+    ["x", "y", "width", "height"].some((key) => !Number.isFinite(rect[key])) ||
+    rect.width <= 0 ||
+    rect.height <= 0
+  ) {
+    throw new Error(
+      `Invalid clip ${JSON.stringify(
+        clip
+      )}. Use x,y,width,height in CSS pixels with a positive width and height, e.g. "0,0,800,600".`
+    );
+  }
+  return rect;
+}
+
+async function _documentMetrics(page) {
+  return page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight,
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+  }));
+}
+
+/**
+ * Screenshots a rectangle of the page, in CSS pixels relative to the top-left
+ * corner of the document. Padding grows the rectangle, but never past the
+ * document's edges.
+ *
+ * @param {import("playwright").Page} page
+ * @param {{x: number, y: number, width: number, height: number}} clip
+ * @param {object} [options] - Any captureImage option, plus:
+ * @param {number|object} [options.padding=0] - Extra space around the clip, in CSS pixels.
+ * @returns {Promise<Buffer>}
+ */
+export async function captureClip(page, clip, options = {}) {
+  const { padding = 0, ...screenshotOptions } = options;
+  if (
+    !clip ||
+    ["x", "y", "width", "height"].some((key) => !Number.isFinite(clip[key])) ||
+    clip.width <= 0 ||
+    clip.height <= 0
+  ) {
+    throw new Error(
+      `Invalid clip ${JSON.stringify(
+        clip
+      )}. Expected numbers x, y, width > 0 and height > 0.`
+    );
+  }
+
+  const metrics = await _documentMetrics(page);
+  const pad = _normalizePadding(padding);
+  const x = Math.max(0, clip.x - pad.left);
+  const y = Math.max(0, clip.y - pad.top);
+  const right = Math.min(metrics.width, clip.x + clip.width + pad.right);
+  const bottom = Math.min(metrics.height, clip.y + clip.height + pad.bottom);
+  if (right <= x || bottom <= y) {
+    throw new Error(
+      `Clip ${JSON.stringify(clip)} lies outside the page (${metrics.width}x${
+        metrics.height
+      }).`
+    );
+  }
+
+  return captureImage(page, {
+    ...screenshotOptions,
+    fullPage: true,
+    clip: { x, y, width: right - x, height: bottom - y },
+  });
+}
+
+/**
+ * Screenshots the first visible match of each selector, one image per
+ * selector.
+ *
+ * @param {import("playwright").Page} page
+ * @param {string[]} selectors - CSS or Playwright selectors.
+ * @param {object} [options] - Any captureImage option, plus:
+ * @param {number|object} [options.padding=0] - Extra space around each element, in CSS pixels.
+ * @param {number} [options.timeoutMs=5000] - How long to wait for each element to become visible.
+ * @returns {Promise<Array<{selector: string, buffer: Buffer}>>}
+ * @throws {ElementNotFoundError} Naming the first selector without a visible match.
+ */
+export async function captureElements(page, selectors, options = {}) {
+  const { padding = 0, timeoutMs = 5000, ...screenshotOptions } = options;
+  const results = [];
+
+  for (const selector of selectors) {
+    const locator = page.locator(selector).first();
+    try {
+      await locator.waitFor({ state: "visible", timeout: timeoutMs });
+    } catch (e) {
+      throw new ElementNotFoundError(selector, timeoutMs);
+    }
+    const box = await locator.boundingBox();
+    if (!box) throw new ElementNotFoundError(selector, timeoutMs);
+
+    const { scrollX, scrollY } = await _documentMetrics(page);
+    const buffer = await captureClip(
+      page,
+      {
+        x: box.x + scrollX,
+        y: box.y + scrollY,
+        width: box.width,
+        height: box.height,
+      },
+      { ...screenshotOptions, padding }
+    );
+    results.push({ selector, buffer });
+  }
+  return results;
+}
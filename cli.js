@@ -0,0 +1,417 @@
+// cli.js
+import fs from "fs";
+import path from "path";
+import { CliUsageError } from "./errors.js";
+
+/**
+ * Command-line parsing
+ *
+ * Each CLI describes its flags once, as a table of
+ * `{ name, type, option, default, aliases, description, ... }`, and gets
+ * parsing, validation, config files and --help text from that table.
+ *
+ * Flag types: "boolean" (`--flag`, `--no-flag`, `--flag=yes|no|true|false`),
+ * "integer", "number", "string" and "list" (split on `separator`). Optional
+ * keys: `choices`, `min`, `max`, `itemType` (for lists), `parse` (a final
+ * conversion that may throw) and `option` (dotted path of the option the flag
+ * sets, defaults to `name`).
+ */
+
+const TRUE_VALUES = ["yes", "true", "1", "on"];
+const FALSE_VALUES = ["no", "false", "0", "off"];
+
+function _flagLabel(spec) {
+  return `--${spec.name}`;
+}
+
+function _checkRange(spec, value) {
+  if (spec.min !== undefined && value < spec.min) {
+    throw new CliUsageError(
+      `${_flagLabel(spec)} must be at least ${spec.min}, got ${value}.`,
+      spec.name
+    );
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    throw new CliUsageError(
+      `${_flagLabel(spec)} must be at most ${spec.max}, got ${value}.`,
+      spec.name
+    );
+  }
+}
+
+function _toNumber(spec, raw, integer) {
+  const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+  if (String(raw).trim() === "" || !Number.isFinite(value)) {
+    throw new CliUsageError(
+      `${_flagLabel(spec)} expects a number, got "${raw}".`,
+      spec.name
+    );
+  }
+  if (integer && !Number.isInteger(value)) {
+    throw new CliUsageError(
+      `${_flagLabel(spec)} expects a whole number, got "${raw}".`,
+      spec.name
+    );
+  }
+  _checkRange(spec, value);
+  return value;
+}
+
+function _toBoolean(spec, raw) {
+  if (typeof raw === "boolean") return raw;
+  const text = String(raw).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  throw new CliUsageError(
+    `${_flagLabel(spec)} expects yes/no (or true/false), got "${raw}".`,
+    spec.name
+  );
+}
+
+/**
+ * Converts a raw value (a CLI string, or any JSON value from a config file)
+ * to the flag's type.
+ *
+ * @throws {CliUsageError}
+ */
+export function convertFlagValue(spec, raw) {
+  let value;
+  switch (spec.type) {
+    case "boolean":
+      value = _toBoolean(spec, raw);
+      break;
+    case "integer":
+    case "number":
+      value = _toNumber(spec, raw, spec.type === "integer");
+      break;
+    case "list": {
+      const items = Array.isArray(raw)
+        ? raw
+        : String(raw)
+            .split(spec.separator || ",")
+            .map((item) => item.trim())
+            .filter(Boolean);
+      value = items.map((item) =>
+        spec.itemType
+          ? convertFlagValue({ ...spec, type: spec.itemType }, item)
+          : String(item)
+      );
+      break;
+    }
+    case "string":
+      if (typeof raw === "object" && raw !== null && spec.parse) {
+        value = raw;
+        break;
+      }
+      if (typeof raw !== "string" && typeof raw !== "number") {
+        throw new CliUsageError(
+          `${_flagLabel(spec)} expects a string, got ${JSON.stringify(raw)}.`,
+          spec.name
+        );
+      }
+      value = String(raw);
+      break;
+    default:
+      throw new Error(`Unknown flag type "${spec.type}" for ${spec.name}.`);
+  }
+
+  if (spec.choices && !spec.choices.includes(value)) {
+    throw new CliUsageError(
+      `${_flagLabel(spec)} must be one of: ${spec.choices.join(
+        ", "
+      )}. Got "${value}".`,
+      spec.name
+    );
+  }
+  if (spec.parse) {
+    try {
+      value = spec.parse(value);
+    } catch (e) {
+      if (e instanceof CliUsageError) throw e;
+      throw new CliUsageError(`${_flagLabel(spec)}: ${e.message}`, spec.name);
+    }
+  }
+  return value;
+}
+
+function _findSpec(specs, name) {
+  return specs.find(
+    (spec) => spec.name === name || (spec.aliases || []).includes(name)
+  );
+}
+
+function _suggest(specs, name) {
+  const lower = name.toLowerCase();
+  const match = specs.find(
+    (spec) =>
+      spec.name.toLowerCase() === lower ||
+      spec.name.toLowerCase().startsWith(lower) ||
+      lower.startsWith(spec.name.toLowerCase())
+  );
+  return match ? ` Did you mean --${match.name}?` : "";
+}
+
+/**
+ * Parses `argv` against `specs`.
+ *
+ * Accepts `--flag=value`, `--flag value`, bare `--flag` / `--no-flag` for
+ * booleans, and `--` to end flag parsing. Unknown flags and bad values throw.
+ *
+ * @param {string[]} argv - Usually process.argv.slice(2).
+ * @param {object[]} specs - The flag table.
+ * @returns {{flags: object, positionals: string[], help: boolean}} `flags` only holds flags that were given, keyed by name.
+ * @throws {CliUsageError}
+ */
+export function parseCommandLine(argv, specs) {
+  const flags = {};
+  const positionals = [];
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === "--help" || arg === "-h") {
+      help = true;
+      continue;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    const body = arg.replace(/^--?/, "");
+    const equalsAt = body.indexOf("=");
+    let name = equalsAt === -1 ? body : body.slice(0, equalsAt);
+    let raw = equalsAt === -1 ? undefined : body.slice(equalsAt + 1);
+
+    let spec = _findSpec(specs, name);
+    if (!spec && name.startsWith("no-") && raw === undefined) {
+      const negated = _findSpec(specs, name.slice(3));
+      if (negated && negated.type === "boolean") {
+        spec = negated;
+        raw = false;
+      }
+    }
+    if (!spec) {
+      throw new CliUsageError(
+        `Unknown option --${name}.${_suggest(specs, name)}`,
+        name
+      );
+    }
+
+    if (raw === undefined) {
+      if (spec.type === "boolean") {
+        raw = true;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+        raw = argv[++i];
+      } else {
+        throw new CliUsageError(
+          `${_flagLabel(spec)} needs a value (--${spec.name}=<${spec.type}>).`,
+          spec.name
+        );
+      }
+    }
+    flags[spec.name] = convertFlagValue(spec, raw);
+  }
+
+  return { flags, positionals, help };
+}
+
+/**
+ * Reads a JSON config file whose keys are flag names (as on the command
+ * line, without `--`). Two keys are special: `url`, and `overrides`, an
+ * object mapping URL patterns (`*` matches anything) to more flags for
+ * matching URLs.
+ *
+ * @param {string} configPath
+ * @param {object[]} specs - The flag table.
+ * @returns {{url: string|undefined, flags: object, overrides: Array<{pattern: string, flags: object}>}}
+ * @throws {CliUsageError}
+ */
+export function readConfigFile(configPath, specs) {
+  const resolved = path.resolve(configPath);
+  if (!fs.existsSync(resolved)) {
+    throw new CliUsageError(`Config file not found: ${configPath}`, "config");
+  }
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, "utf-8"));
+  } catch (e) {
+    throw new CliUsageError(
+      `Config file ${configPath} is not valid JSON: ${e.message}`,
+      "config"
+    );
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new CliUsageError(
+      `Config file ${configPath} must contain a JSON object.`,
+      "config"
+    );
+  }
+
+  const convertAll = (entries, where) => {
+    const flags = {};
+    for (const [key, raw] of Object.entries(entries)) {
+      const spec = _findSpec(specs, key);
+      if (!spec || spec.name === "config") {
+        throw new CliUsageError(
+          `Unknown option "${key}" in ${where}.${_suggest(specs, key)}`,
+          key
+        );
+      }
+      try {
+        flags[spec.name] = convertFlagValue(spec, raw);
+      } catch (e) {
+        throw new CliUsageError(`${where}: ${e.message}`, spec.name);
+      }
+    }
+    return flags;
+  };
+
+  const { url, overrides = {}, ...rest } = config;
+  if (url !== undefined && typeof url !== "string") {
+    throw new CliUsageError(`"url" in ${configPath} must be a string.`, "url");
+  }
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new CliUsageError(
+      `"overrides" in ${configPath} must map URL patterns to options.`,
+      "overrides"
+    );
+  }
+
+  return {
+    url,
+    flags: convertAll(rest, configPath),
+    overrides: Object.entries(overrides).map(([pattern, entries]) => ({
+      pattern,
+      flags: convertAll(
+        entries || {},
+        `${configPath} (overrides "${pattern}")`
+      ),
+    })),
+  };
+}
+
+/**
+ * Whether `url` matches `pattern`, where `*` matches any run of characters.
+ */
+export function matchesUrlPattern(pattern, url) {
+  const regex = new RegExp(
+    `^${pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`
+  );
+  return regex.test(url);
+}
+
+/**
+ * Parses "name=value,other=value" into an object. Objects (from config
+ * files) are passed through with their values converted to strings.
+ *
+ * @param {string|object} value
+ * @returns {object}
+ * @throws {Error} For a pair without "=".
+ */
+export function parseKeyValueList(value) {
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, String(item)])
+    );
+  }
+  const pairs = {};
+  for (const pair of value.split(",")) {
+    if (!pair.trim()) continue;
+    const equalsAt = pair.indexOf("=");
+    if (equalsAt < 1) {
+      throw new Error(`expected name=value, got "${pair.trim()}".`);
+    }
+    pairs[pair.slice(0, equalsAt).trim()] = pair.slice(equalsAt + 1);
+  }
+  return pairs;
+}
+
+function _setOption(target, optionPath, value) {
+  const keys = optionPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = { ...node[key] };
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Builds the options object: flag defaults first, then each layer of parsed
+ * flags in order (later layers win).
+ *
+ * @param {object[]} specs - The flag table.
+ * @param {...object} layers - Parsed flags, keyed by flag name.
+ * @returns {object}
+ */
+export function buildOptions(specs, ...layers) {
+  const options = {};
+  for (const spec of specs) {
+    if (spec.default !== undefined) {
+      _setOption(options, spec.option || spec.name, spec.default);
+    }
+  }
+  for (const flags of layers) {
+    for (const [name, value] of Object.entries(flags)) {
+      const spec = _findSpec(specs, name);
+      _setOption(options, spec.option || spec.name, value);
+    }
+  }
+  return options;
+}
+
+/**
+ * Renders --help text from the flag table.
+ *
+ * @param {object[]} specs - The flag table.
+ * @param {object} [options]
+ * @param {string} [options.usage] - The usage line.
+ * @param {string} [options.footer] - Text printed after the flag list.
+ * @returns {string}
+ */
+export function formatHelp(specs, options = {}) {
+  const { usage, footer } = options;
+  const placeholder = (spec) => {
+    if (spec.type === "boolean") return "[=yes|no]";
+    if (spec.choices) return `=${spec.choices.join("|")}`;
+    return `=<${spec.type === "list" ? "list" : spec.type}>`;
+  };
+  const rows = specs.map((spec) => {
+    const names = [spec.name, ...(spec.aliases || [])]
+      .map((name) => `--${name}`)
+      .join(", ");
+    let defaultLabel = spec.defaultLabel;
+    if (defaultLabel === undefined && spec.default !== undefined) {
+      defaultLabel =
+        spec.type === "boolean"
+          ? spec.default
+            ? "yes"
+            : "no"
+          : JSON.stringify(spec.default);
+    }
+    return {
+      left: `${names}${placeholder(spec)}`,
+      right: `${spec.description}${
+        defaultLabel ? ` (default: ${defaultLabel})` : ""
+      }`,
+    };
+  });
+  const width = Math.max(...rows.map((row) => row.left.length)) + 2;
+  const lines = [];
+  if (usage) lines.push(`Usage: ${usage}`, "");
+  lines.push("Options:");
+  rows.forEach(({ left, right }) =>
+    lines.push(`  ${left.padEnd(width)}${right}`)
+  );
+  lines.push(`  ${"--help, -h".padEnd(width)}Show this help and exit.`);
+  if (footer) lines.push("", footer);
+  return lines.join("\n");
+}
@@ -0,0 +1,188 @@
+// compare.js
+import fs from "fs";
+import { PNG } from "pngjs";
+import pixelmatch from "pixelmatch";
+
+/**
+ * Visual regression
+ *
+ * Compares a fresh capture against a baseline PNG, pixel by pixel, and
+ * renders a diff image with the changed pixels highlighted in red. Regions
+ * covered by "ignore" selectors are excluded from the score and tinted blue
+ * in the diff.
+ */
+
+const IGNORED_REGION_COLOR = [160, 200, 255, 255];
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+/**
+ * Whether `buffer` starts with the PNG signature.
+ *
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isPng(buffer) {
+  return (
+    Buffer.isBuffer(buffer) &&
+    buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)
+  );
+}
+
+function _readPng(source) {
+  const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+  return PNG.sync.read(buffer);
+}
+
+function _padTo(png, width, height) {
+  if (png.width === width && png.height === height) {
+    return png;
+  }
+  const padded = new PNG({ width, height });
+  padded.data.fill(0);
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+function _clampRegion(region, width, height) {
+  const x = Math.max(0, Math.floor(region.x));
+  const y = Math.max(0, Math.floor(region.y));
+  const right = Math.min(width, Math.ceil(region.x + region.width));
+  const bottom = Math.min(height, Math.ceil(region.y + region.height));
+  if (right <= x || bottom <= y) return null;
+  return { ...region, x, y, width: right - x, height: bottom - y };
+}
+
+function _fillRegion(png, region, [r, g, b, a]) {
+  for (let y = region.y; y < region.y + region.height; y++) {
+    for (let x = region.x; x < region.x + region.width; x++) {
+      const idx = (png.width * y + x) * 4;
+      png.data[idx] = r;
+      png.data[idx + 1] = g;
+      png.data[idx + 2] = b;
+      png.data[idx + 3] = a;
+    }
+  }
+}
+
+/**
+ * Measures the elements matched by `selectors` on `page`, in screenshot pixel
+ * coordinates, so they can be passed to compareImages as `ignoreRegions`.
+ * Must be called on the page state the screenshot is (or will be) taken of.
+ *
+ * @param {import("playwright").Page} page
+ * @param {string[]} selectors - CSS or Playwright selectors.
+ * @param {object} [options]
+ * @param {boolean} [options.fullPage=true] - Whether the screenshot is a full page one (coordinates include the scroll offset).
+ * @returns {Promise<Array<{selector: string, x: number, y: number, width: number, height: number}>>}
+ */
+export async function measureIgnoreRegions(page, selectors, options = {}) {
+  const { fullPage = true } = options;
+  if (!selectors || selectors.length === 0) return [];
+
+  const { scrollX, scrollY, devicePixelRatio } = await page.evaluate(() => ({
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    devicePixelRatio: window.devicePixelRatio,
+  }));
+  const offsetX = fullPage ? scrollX : 0;
+  const offsetY = fullPage ? scrollY : 0;
+
+  const regions = [];
+  for (const selector of selectors) {
+    const elements = await page.locator(selector).all();
+    if (elements.length === 0) {
+      console.warn(`[Compare] Ignore selector matched nothing: ${selector}`);
+    }
+    for (const element of elements) {
+      const box = await element.boundingBox();
+      if (!box) continue;
+      regions.push({
+        selector,
+        x: Math.floor((box.x + offsetX) * devicePixelRatio),
+        y: Math.floor((box.y + offsetY) * devicePixelRatio),
+        width: Math.ceil(box.width * devicePixelRatio),
+        height: Math.ceil(box.height * devicePixelRatio),
+      });
+    }
+  }
+  return regions;
+}
+
+/**
+ * Compares `current` against `baseline`.
+ *
+ * Images of different sizes are compared on a canvas large enough for both;
+ * the area only one of them covers counts as changed.
+ *
+ * @param {string|Buffer} baseline - Path to, or contents of, the baseline PNG.
+ * @param {string|Buffer} current - Path to, or contents of, the new PNG.
+ * @param {object} [options]
+ * @param {number} [options.threshold=0] - Max share of changed pixels (0..1) for the comparison to pass.
+ * @param {number} [options.pixelThreshold=0.1] - Per-pixel color distance (0..1) below which a pixel counts as unchanged.
+ * @param {Array<{x: number, y: number, width: number, height: number}>} [options.ignoreRegions=[]] - Regions excluded from the comparison.
+ * @returns {{passed: boolean, score: number, threshold: number, diffPixels: number, totalPixels: number, width: number, height: number, sizeMismatch: boolean, ignoreRegions: object[], diffImage: Buffer, baseline: string}}
+ */
+export function compareImages(baseline, current, options = {}) {
+  const { threshold = 0, pixelThreshold = 0.1, ignoreRegions = [] } = options;
+
+  const baselinePng = _readPng(baseline);
+  const currentPng = _readPng(current);
+  const width = Math.max(baselinePng.width, currentPng.width);
+  const height = Math.max(baselinePng.height, currentPng.height);
+  const sizeMismatch =
+    baselinePng.width !== currentPng.width ||
+    baselinePng.height !== currentPng.height;
+
+  const expected = _padTo(baselinePng, width, height);
+  const actual = _padTo(currentPng, width, height);
+
+  const regions = ignoreRegions
+    .map((region) => _clampRegion(region, width, height))
+    .filter(Boolean);
+  for (const region of regions) {
+    // Make both images identical inside ignored regions.
+    PNG.bitblt(
+      expected,
+      actual,
+      region.x,
+      region.y,
+      region.width,
+      region.height,
+      region.x,
+      region.y
+    );
+  }
+
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(
+    expected.data,
+    actual.data,
+    diff.data,
+    width,
+    height,
+    { threshold: pixelThreshold }
+  );
+  for (const region of regions) {
+    _fillRegion(diff, region, IGNORED_REGION_COLOR);
+  }
+
+  const totalPixels = width * height;
+  const score = totalPixels === 0 ? 0 : diffPixels / totalPixels;
+
+  return {
+    passed: score <= threshold,
+    score,
+    threshold,
+    diffPixels,
+    totalPixels,
+    width,
+    height,
+    sizeMismatch,
+    ignoreRegions: regions,
+    diffImage: PNG.sync.write(diff),
+    baseline: typeof baseline === "string" ? baseline : "<buffer>",
+  };
+}
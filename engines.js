@@ -0,0 +1,59 @@
+// engines.js
+import { chromium, firefox, webkit } from "playwright";
+import { UnsupportedEngineError } from "./errors.js";
+
+/**
+ * The browser engines the pool and the CLIs can launch, and the features
+ * only one of them provides.
+ */
+
+export const BROWSER_ENGINES = ["chromium", "firefox", "webkit"];
+
+const BROWSER_TYPES = { chromium, firefox, webkit };
+
+const CHROMIUM_ONLY_FEATURES = {
+  adblock: "Extension-based adblock",
+  pdf: "PDF output",
+};
+
+/**
+ * @param {string} [engine="chromium"] - One of BROWSER_ENGINES.
+ * @returns {import("playwright").BrowserType}
+ * @throws {Error} If the engine is unknown.
+ */
+export function getBrowserType(engine = "chromium") {
+  if (!BROWSER_ENGINES.includes(engine)) {
+    throw new Error(
+      `Unknown browser engine "${engine}". Use one of: ${BROWSER_ENGINES.join(
+        ", "
+      )}.`
+    );
+  }
+  return BROWSER_TYPES[engine];
+}
+
+/**
+ * Throws if `feature` (a key of CHROMIUM_ONLY_FEATURES) can't be used with
+ * `engine`.
+ *
+ * @throws {UnsupportedEngineError}
+ */
+export function assertEngineSupports(engine, feature) {
+  if (engine !== "chromium" && CHROMIUM_ONLY_FEATURES[feature]) {
+    throw new UnsupportedEngineError(engine, CHROMIUM_ONLY_FEATURES[feature]);
+  }
+}
+
+/**
+ * Adapts browser context options to `engine`. Firefox has no mobile
+ * emulation, so `isMobile` (set by Playwright's phone and tablet devices)
+ * is dropped there. Returns the options and the names of dropped ones, so
+ * callers can warn about them.
+ */
+export function contextOptionsForEngine(engine, contextOptions) {
+  if (engine !== "firefox" || !("isMobile" in contextOptions)) {
+    return { contextOptions, ignored: [] };
+  }
+  const { isMobile, ...supported } = contextOptions;
+  return { contextOptions: supported, ignored: ["isMobile"] };
+}
@@ -0,0 +1,177 @@
+// errors.js
+
+/**
+ * Error types surfaced by the browser pool and the CLIs, so callers can
+ * tell "why did my task fail" apart without parsing messages.
+ */
+
+function _describeReason(reason) {
+  if (!reason) return "";
+  return reason instanceof Error ? reason.message : String(reason);
+}
+
+export class TaskCancelledError extends Error {
+  constructor(taskId, reason) {
+    const detail = _describeReason(reason);
+    super(`[Pool] Task ${taskId} was cancelled${detail ? `: ${detail}` : "."}`);
+    this.name = "TaskCancelledError";
+    this.taskId = taskId;
+    this.reason = reason;
+  }
+}
+
+export class TaskTimeoutError extends Error {
+  constructor(taskId, timeoutMs) {
+    super(`[Pool] Task ${taskId} timed out after ${timeoutMs / 1000}s`);
+    this.name = "TaskTimeoutError";
+    this.taskId = taskId;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The pool refused a task before queueing it because of the task itself
+ * (an invalid option, or no browser group that could run it).
+ */
+export class TaskRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TaskRejectedError";
+  }
+}
+
+/**
+ * The pool refused a task instead of letting the queue grow or wait forever.
+ * `reason` is "queue-full" (rejected on arrival), "dropped" (evicted from a
+ * full queue for a higher-priority task) or "queue-timeout" (waited longer
+ * than its queue deadline).
+ */
+export class PoolOverloadedError extends Error {
+  constructor(taskId, reason, limit) {
+    const messages = {
+      "queue-full": `the queue is full (${limit} tasks)`,
+      dropped: `it was dropped from the full queue (${limit} tasks) for a higher-priority task`,
+      "queue-timeout": `it waited more than ${limit / 1000}s in the queue`,
+    };
+    super(`[Pool] Task ${taskId} was rejected: ${messages[reason]}.`);
+    this.name = "PoolOverloadedError";
+    this.taskId = taskId;
+    this.reason = reason;
+    this.limit = limit;
+  }
+}
+
+/**
+ * A task's browser crashed (disconnected) while the task ran, more often
+ * than its crash-retry budget allows. `crashes` lists every crash with the
+ * `browserId`, `group`, time (`at`) and the `error` the task saw.
+ */
+export class BrowserCrashedError extends Error {
+  constructor(taskId, crashes) {
+    super(
+      `[Pool] Task ${taskId} failed: its browser crashed ${crashes.length} time(s) while it ran.`
+    );
+    this.name = "BrowserCrashedError";
+    this.taskId = taskId;
+    this.crashes = crashes;
+  }
+}
+
+export class VisualRegressionError extends Error {
+  constructor(report) {
+    super(
+      `Screenshot differs from baseline ${report.baseline}: ${(
+        report.score * 100
+      ).toFixed(3)}% of pixels changed (threshold ${(
+        report.threshold * 100
+      ).toFixed(3)}%).`
+    );
+    this.name = "VisualRegressionError";
+    this.report = report;
+  }
+}
+
+export class ElementNotFoundError extends Error {
+  constructor(selector, timeoutMs) {
+    super(
+      `No visible element found for selector "${selector}" within ${
+        timeoutMs / 1000
+      }s.`
+    );
+    this.name = "ElementNotFoundError";
+    this.selector = selector;
+  }
+}
+
+/**
+ * A feature that only Chromium provides (e.g. extension-based adblock or PDF
+ * output) was asked for with another browser engine.
+ */
+export class UnsupportedEngineError extends Error {
+  constructor(engine, feature) {
+    super(`${feature} needs Chromium and is not available in ${engine}.`);
+    this.name = "UnsupportedEngineError";
+    this.engine = engine;
+    this.feature = feature;
+  }
+}
+
+export class UnsupportedContextOptionError extends Error {
+  constructor(options, message) {
+    super(message);
+    this.name = "UnsupportedContextOptionError";
+    this.options = options;
+  }
+}
+
+export class CliUsageError extends Error {
+  constructor(message, flag) {
+    super(message);
+    this.name = "CliUsageError";
+    this.flag = flag;
+  }
+}
+
+export class ActionValidationError extends Error {
+  constructor(step, actionType, detail) {
+    super(
+      step
+        ? `Step ${step} (${actionType || "unknown"}) is invalid: ${detail}`
+        : `Invalid action script: ${detail}`
+    );
+    this.name = "ActionValidationError";
+    this.step = step;
+    this.actionType = actionType;
+  }
+}
+
+export class ActionFailedError extends Error {
+  constructor(step, actionType, cause) {
+    super(
+      `Step ${step} (${actionType}) failed: ${
+        _describeReason(cause).split("\n")[0]
+      }`
+    );
+    this.name = "ActionFailedError";
+    this.step = step;
+    this.actionType = actionType;
+    this.cause = cause;
+  }
+}
+
+/**
+ * A failed assertion step. `report` holds the `step`, `actionType`, what was
+ * `expected`, the `actual` value, the page `url` and, when one could be
+ * taken, a PNG `screenshot` of the page at the time.
+ */
+export class AssertionFailedError extends ActionFailedError {
+  constructor(step, actionType, report) {
+    super(
+      step,
+      actionType,
+      `expected ${report.expected}, got ${report.actual}`
+    );
+    this.name = "AssertionFailedError";
+    this.report = { step, actionType, ...report };
+  }
+}
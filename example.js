@@ -5,24 +5,17 @@ async function main() {
 
   const uBlockPath = "/path/to/unpacked/extension/ext_ublock";
   /**
-   * Note: While extension loading currently works,
-   * since each new browser context loads a fresh ublock extension,
-   * it does not preserve the extension's filter list
+   * Note: adblock browsers in the pool run on persistent profiles
+   * (user-data dirs under `adblockProfileDir`), so the extension's
+   * filter lists are downloaded once and reused across runs.
    *
-   * If launching browser's with adblocking enabled, please
-   * allow some time (~2-3s should be enough) for the extensions
-   * to fully load
+   * Each adblock browser is only handed tasks after it was verified
+   * to block a known ad request (`adblockProbeUrl`), so you don't
+   * need to add your own wait before the first screenshot.
    *
-   * I haven't done so in the example.js file. This means that
-   * the extension doesn't block all ads (as can be seen in the
-   * example screenshots)
-   *
-   * `screenshotter.js` does allow time for adblock to fully load
-   * before taking screenshots, but I did have situations where I
-   * did not want to wait, so ...
-   *
-   * Anyways, you can configure a wait time in the task_config object
-   * passed to createScreenshotTask or createScreencastTask
+   * To skip the first-run download entirely, point
+   * `adblockProfileSnapshot` at a profile dir that already has
+   * its filter lists.
    */
   const adblockerAvailable = fs.existsSync(uBlockPath);
 
@@ -0,0 +1,336 @@
+// screencast.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getBrowserPool } from "./wirklich.js";
+import { loadActionScript, applyVariables } from "./actions.js";
+import { FILE_EXTENSIONS } from "./capture.js";
+import { assertEngineSupports } from "./engines.js";
+import {
+  parseCommandLine,
+  readConfigFile,
+  matchesUrlPattern,
+  buildOptions,
+  formatHelp,
+} from "./cli.js";
+import { CLI_FLAGS } from "./screenshotter.js";
+import {
+  CliUsageError,
+  ActionValidationError,
+  ActionFailedError,
+  AssertionFailedError,
+} from "./errors.js";
+
+/**
+ * Screencast CLI
+ *
+ * Records a WebM of a URL while performing the steps of an action script
+ * (JSON or YAML), so recordings can be authored without writing JavaScript.
+ * The script is validated before a browser is launched.
+ */
+
+const SHARED_FLAGS = [
+  "cookieSelectorsFile",
+  "blockAds",
+  "adblockPath",
+  "deviceName",
+  "viewportWidth",
+  "viewportHeight",
+  "outputDir",
+  "headless",
+  "engine",
+  "variables",
+  "config",
+  "debug",
+];
+
+export const SCREENCAST_FLAGS = [
+  {
+    name: "script",
+    type: "string",
+    description:
+      "JSON or YAML action script: a list of steps, or { url, actions }.",
+  },
+  {
+    name: "output",
+    type: "string",
+    defaultLabel: "<outputDir>/screencast-<url>.webm",
+    description: "Path of the WebM to write.",
+  },
+  {
+    name: "videoWidth",
+    type: "integer",
+    min: 1,
+    description: "Video width (defaults to the viewport width).",
+  },
+  {
+    name: "videoHeight",
+    type: "integer",
+    min: 1,
+    description: "Video height (defaults to the viewport height).",
+  },
+  {
+    name: "actionTimeout",
+    type: "integer",
+    min: 0,
+    default: 30000,
+    description: "Milliseconds navigations and waits may take.",
+  },
+  {
+    name: "taskTimeout",
+    type: "integer",
+    min: 1,
+    default: 300000,
+    description: "Milliseconds the whole recording may take.",
+  },
+  {
+    name: "maxRetries",
+    type: "integer",
+    min: 0,
+    default: 0,
+    description: "Retries of the whole recording if a step fails.",
+  },
+  {
+    name: "validateOnly",
+    type: "boolean",
+    default: false,
+    description: "Only validate the script, don't record.",
+  },
+  ...CLI_FLAGS.filter((spec) => SHARED_FLAGS.includes(spec.name)),
+];
+
+function _urlSlug(url) {
+  return (
+    url
+      .replace(/^https?:\/\//, "")
+      .replace(/[^\w.-]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 80) || "page"
+  );
+}
+
+function _readCookieSelectors(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new CliUsageError(
+      `Cookie selectors file not found at path: ${filePath}`,
+      "cookieSelectorsFile"
+    );
+  }
+  return fs
+    .readFileSync(filePath, "utf-8")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+/**
+ * Records `url` while running `actions` and writes the WebM. Stills from
+ * `screenshot` steps are written next to it as `<video>-<n>-<name>.<ext>`.
+ *
+ * @param {object} options - Parsed SCREENCAST_FLAGS, plus `url` and `actions`.
+ * @returns {Promise<{videoPath: string, imagePaths: string[]}>}
+ * @throws {ActionFailedError} Naming the step that failed.
+ */
+export async function recordScreencast(options) {
+  const {
+    url,
+    actions = [],
+    output,
+    outputDir = ".",
+    videoWidth,
+    videoHeight,
+    actionTimeout = 30000,
+    taskTimeout = 300000,
+    maxRetries = 0,
+    cookieSelectorsFilePath,
+    blockAds = false,
+    adblockPath,
+    deviceName,
+    viewportWidth,
+    viewportHeight,
+    headless = true,
+    engine = "chromium",
+    variables = {},
+  } = options;
+
+  const cookieSelectors = cookieSelectorsFilePath
+    ? _readCookieSelectors(cookieSelectorsFilePath)
+    : [];
+  const outputPath =
+    output || path.join(outputDir, `screencast-${_urlSlug(url)}.webm`);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  const launchOptions = { headless };
+  const pool = await getBrowserPool({
+    groups: {
+      [blockAds ? "adblock" : "default"]: {
+        size: 1,
+        engine,
+        adblock: blockAds,
+        adblockExtensionPath: adblockPath,
+        launchOptions,
+      },
+    },
+    taskTimeoutMs: taskTimeout,
+  });
+
+  try {
+    const task = pool.createScreencastTask({
+      url,
+      actions,
+      use_adblock: blockAds,
+      engine,
+      accept_cookie_banners: cookieSelectors.length > 0,
+      cookie_banner_selectors: cookieSelectors,
+      max_wait_timeout: actionTimeout,
+      emulate_device: Boolean(deviceName),
+      device_name: deviceName,
+      viewport_width: viewportWidth,
+      viewport_height: viewportHeight,
+      video_size:
+        videoWidth && videoHeight
+          ? { width: videoWidth, height: videoHeight }
+          : undefined,
+      max_retries: maxRetries,
+      variables,
+    });
+    const result = await pool.queueScreencastTask(task);
+    const { video, images } = task.returnsStoryboard
+      ? result
+      : { video: result, images: [] };
+    fs.writeFileSync(outputPath, video);
+
+    const baseName = outputPath.replace(/\.webm$/i, "");
+    const digits = String(images.length).length;
+    const imagePaths = images.map((image, index) => {
+      const imagePath = `${baseName}-${String(index + 1).padStart(
+        digits,
+        "0"
+      )}-${_urlSlug(image.name)}.${FILE_EXTENSIONS[image.format]}`;
+      fs.writeFileSync(imagePath, image.buffer);
+      return imagePath;
+    });
+    return { videoPath: outputPath, imagePaths };
+  } finally {
+    await pool.shutdown();
+  }
+}
+
+const __currentFilePath = fileURLToPath(import.meta.url);
+if (process.argv[1] === __currentFilePath) {
+  let cliOptions;
+  try {
+    const { flags, positionals, help } = parseCommandLine(
+      process.argv.slice(2),
+      SCREENCAST_FLAGS
+    );
+    if (help) {
+      console.log(
+        formatHelp(SCREENCAST_FLAGS, {
+          usage: "node screencast.js [url] --script=<steps.json|steps.yaml>",
+          footer:
+            "The URL can also come from the script's or the config file's \"url\".\nExit codes: 0 success, 1 recording failed, 3 assertion failed, 64 invalid usage or script.",
+        })
+      );
+      process.exit(0);
+    }
+    if (positionals.length > 1) {
+      throw new CliUsageError(
+        `Expected one URL, got ${positionals.length}: ${positionals.join(" ")}`
+      );
+    }
+
+    const config = flags.config
+      ? readConfigFile(flags.config, SCREENCAST_FLAGS)
+      : { url: undefined, flags: {}, overrides: [] };
+    const scriptPath = flags.script || config.flags.script;
+    const script = scriptPath
+      ? loadActionScript(scriptPath)
+      : { url: undefined, actions: [] };
+    if (scriptPath) {
+      console.log(
+        `📜 Script ${scriptPath} is valid (${script.actions.length} steps).`
+      );
+    }
+    if (flags.validateOnly || config.flags.validateOnly) {
+      if (!scriptPath) {
+        throw new CliUsageError("--validateOnly needs --script.", "script");
+      }
+      process.exit(0);
+    }
+
+    const url = positionals[0] || script.url || config.url;
+    if (!url) {
+      throw new CliUsageError(
+        'No URL given. Pass one, or set "url" in the script or config file.'
+      );
+    }
+    if (!/^https?:\/\//.test(url)) {
+      throw new CliUsageError(
+        `The URL must start with http:// or https://, got "${url}".`,
+        "url"
+      );
+    }
+    const overrideLayers = config.overrides
+      .filter(({ pattern }) => matchesUrlPattern(pattern, url))
+      .map((override) => override.flags);
+
+    cliOptions = {
+      ...buildOptions(SCREENCAST_FLAGS, config.flags, ...overrideLayers, flags),
+      url,
+      actions: script.actions,
+    };
+    applyVariables(cliOptions.actions, cliOptions.variables);
+    if (cliOptions.blockAds) {
+      try {
+        assertEngineSupports(cliOptions.engine, "adblock");
+      } catch (e) {
+        throw new CliUsageError(e.message, "engine");
+      }
+    }
+  } catch (err) {
+    if (
+      !(err instanceof CliUsageError) &&
+      !(err instanceof ActionValidationError)
+    ) {
+      throw err;
+    }
+    console.error(`❌ ${err.message}`);
+    if (err instanceof CliUsageError) {
+      console.error("👉 Run with --help to see all options.");
+    }
+    process.exit(64);
+  }
+
+  recordScreencast(cliOptions)
+    .then(({ videoPath, imagePaths }) => {
+      console.log(`\n🎉 Screencast saved: ${videoPath}`);
+      imagePaths.forEach((imagePath) => console.log(`  - ${imagePath}`));
+      process.exit(0);
+    })
+    .catch((err) => {
+      if (err instanceof AssertionFailedError) {
+        console.error(`\n❌ Assertion failed: ${err.message}`);
+        console.error(`   Page: ${err.report.url}`);
+        if (err.report.screenshot) {
+          const failurePath = path.join(
+            cliOptions.outputDir || ".",
+            `assertion-failure-step-${err.step}.png`
+          );
+          fs.mkdirSync(path.dirname(failurePath), { recursive: true });
+          fs.writeFileSync(failurePath, err.report.screenshot);
+          console.error(`   Screenshot: ${failurePath}`);
+        }
+        process.exit(3);
+      }
+      if (err instanceof ActionFailedError) {
+        console.error(`\n❌ ${err.message}`);
+      } else {
+        console.error("\n❌ Recording failed:", err.message);
+      }
+      if (err.stack && (process.env.DEBUG || cliOptions.debug)) {
+        console.error(err.stack);
+      }
+      process.exit(1);
+    });
+}
@@ -1,11 +1,61 @@
-import { chromium, devices } from "playwright";
+import { devices } from "playwright";
 import fs from "fs";
 import path from "path";
 import os from "os";
 import { fileURLToPath } from "url";
+import { waitForAdblockReady } from "./adblock.js";
+import { compareImages, measureIgnoreRegions } from "./compare.js";
+import {
+  BROWSER_ENGINES,
+  getBrowserType,
+  assertEngineSupports,
+  contextOptionsForEngine,
+} from "./engines.js";
+import {
+  validateActions,
+  runActions,
+  loadActionScript,
+  applyVariables,
+  watchPage,
+} from "./actions.js";
+import {
+  renderPdf,
+  PDF_MEDIA_TYPES,
+  captureImage,
+  captureElements,
+  captureClip,
+  parseClip,
+  parsePadding,
+  validateImageOptions,
+  validatePdfOptions,
+  IMAGE_FORMATS,
+  FILE_EXTENSIONS,
+} from "./capture.js";
+import {
+  parseCommandLine,
+  readConfigFile,
+  matchesUrlPattern,
+  buildOptions,
+  formatHelp,
+  parseKeyValueList,
+} from "./cli.js";
+import {
+  VisualRegressionError,
+  AssertionFailedError,
+  CliUsageError,
+} from "./errors.js";
 
 export { devices };
 
+function _selectorSlug(selector) {
+  return (
+    selector
+      .replace(/[^\w.-]+/g, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 40) || "element"
+  );
+}
+
 /**
  * Takes a screenshot of a given URL with various options.
  *
@@ -17,6 +67,8 @@ export { devices };
  * @param {number} [options.delayForPaint=1000] - Milliseconds to wait after page load/action before screenshot.
  * @param {boolean} [options.blockAds=false] - Whether to enable ad blocking.
  * @param {string|null} [options.adblockPath=null] - Path to UNPACKED adblocker extension (required if blockAds is true).
+ * @param {number} [options.adblockReadyTimeout=30000] - Max milliseconds to wait for the adblocker to be ready before navigating.
+ * @param {string} [options.adblockProbeUrl] - A URL the filter lists block, requested to check that the adblocker is ready.
  * @param {string|null} [options.deviceName=null] - Name of a Playwright device to emulate (e.g., "iPhone 13 Pro Max"). The 'devices' object is imported from Playwright.
  * @param {number|null} [options.viewportWidth=null] - Explicit viewport width (used if deviceName is not set).
  * @param {number|null} [options.viewportHeight=null] - Explicit viewport height (used if deviceName is not set).
@@ -25,7 +77,24 @@ export { devices };
  * @param {string} [options.outputDir="."] - Directory to save screenshots.
  * @param {number[]|null} [options.multipleWidths=null] - Array of widths to take screenshots at (e.g., [320, 768, 1920]). Overrides single device/viewport mode for taking multiple shots.
  * @param {boolean} [options.headless=true] - Whether to run the browser in headless mode.
- * @returns {Promise<string[]>} A promise that resolves with an array of paths to the saved screenshots.
+ * @param {string} [options.engine="chromium"] - Browser engine: "chromium", "firefox" or "webkit". Adblock and PDF output need Chromium.
+ * @param {string|null} [options.compareWith=null] - Path to a baseline PNG to compare the screenshot against. A highlighted diff image is saved next to the screenshot.
+ * @param {number} [options.compareThreshold=0] - Max share (0..1) of changed pixels before the comparison fails.
+ * @param {string[]} [options.ignoreSelectors=[]] - Selectors of elements to leave out of the comparison (e.g. clocks, ads).
+ * @param {string} [options.format="png"] - Output format: "png", "jpeg", "webp" or "pdf".
+ * @param {number|null} [options.quality=null] - Image quality (0..100) for jpeg and webp output.
+ * @param {boolean} [options.omitBackground=false] - Capture with a transparent background (png and webp only).
+ * @param {number|null} [options.maxWidth=null] - Scale images wider than this many pixels down to it.
+ * @param {string[]} [options.selectors=[]] - Selectors of elements to capture instead of the page; each one is saved as its own image.
+ * @param {{x: number, y: number, width: number, height: number}|null} [options.clip=null] - Rectangle (CSS pixels, relative to the document) to capture instead of the page.
+ * @param {number|object} [options.padding=0] - Extra space around captured elements or the clip, in CSS pixels (a number or { top, right, bottom, left }).
+ * @param {object[]} [options.actions=[]] - Steps to perform after navigating and before capturing (see actions.js). The capture is only taken if all of them succeed.
+ * @param {object} [options.variables={}] - Values for `${name}` placeholders in `actions`. `${env.NAME}` reads environment variables.
+ * @param {object} [options.pdfOptions={}] - PDF options (format, margin, printBackground, headerTemplate, footerTemplate, landscape, media). See renderPdf in capture.js.
+ * @returns {Promise<string[]>} A promise that resolves with an array of paths to the saved screenshots (and the diff image, if comparing).
+ * @throws {ActionValidationError|ActionFailedError} If a step in `actions` is invalid or fails (an AssertionFailedError for a failed `assert*` step).
+ * @throws {VisualRegressionError} If compareWith is set and the screenshot differs from the baseline by more than compareThreshold.
+ * @throws {UnsupportedEngineError} If blockAds or PDF output is combined with an engine other than Chromium.
  * @throws {Error} If adblocking is enabled but adblockPath is invalid, cookie auto-accept is enabled but selector file is invalid, or other critical errors.
  */
 
@@ -38,6 +107,8 @@ export async function takeScreenshot(options = {}) {
     delayForPaint = 1000,
     blockAds = false,
     adblockPath = null,
+    adblockReadyTimeout = 30000,
+    adblockProbeUrl,
     deviceName = null,
     viewportWidth = null,
     viewportHeight = null,
@@ -46,10 +117,36 @@ export async function takeScreenshot(options = {}) {
     outputDir = ".",
     multipleWidths = null,
     headless = true,
+    engine = "chromium",
+    compareWith = null,
+    compareThreshold = 0,
+    ignoreSelectors = [],
+    format = "png",
+    quality = null,
+    omitBackground = false,
+    maxWidth = null,
+    pdfOptions = {},
+    selectors = [],
+    clip = null,
+    padding = 0,
+    actions = [],
+    variables = {},
   } = options;
 
+  let browserType;
+  try {
+    browserType = getBrowserType(engine);
+    if (blockAds) assertEngineSupports(engine, "adblock");
+    if (format === "pdf") assertEngineSupports(engine, "pdf");
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    throw e;
+  }
+
   const isDocker = fs.existsSync("/.dockerenv");
-  const executablePath = isDocker ? "/usr/bin/chromium" : undefined;
+  // The image only ships the system Chromium.
+  const executablePath =
+    isDocker && engine === "chromium" ? "/usr/bin/chromium" : undefined;
   const slowMoDelta = headless ? 0 : 1000;
 
   if (blockAds) {
@@ -82,6 +179,93 @@ export async function takeScreenshot(options = {}) {
     }
   }
 
+  if (![...IMAGE_FORMATS, "pdf"].includes(format)) {
+    const errMsg = `❌ Unknown format "${format}". Use one of: ${[
+      ...IMAGE_FORMATS,
+      "pdf",
+    ].join(", ")}.`;
+    console.error(errMsg);
+    throw new Error(errMsg);
+  }
+  if (format === "pdf") {
+    try {
+      validatePdfOptions(pdfOptions);
+    } catch (e) {
+      const errMsg = `❌ ${e.message}`;
+      console.error(errMsg);
+      throw new Error(errMsg);
+    }
+  } else {
+    try {
+      validateImageOptions({ format, quality, omitBackground, maxWidth });
+    } catch (e) {
+      const errMsg = `❌ ${e.message}`;
+      console.error(errMsg);
+      throw new Error(errMsg);
+    }
+  }
+  if (compareWith && format !== "png") {
+    const errMsg = "❌ compareWith needs png output.";
+    console.error(errMsg);
+    throw new Error(errMsg);
+  }
+  if (compareWith && maxWidth) {
+    const errMsg = "❌ compareWith can't be combined with maxWidth.";
+    console.error(errMsg);
+    throw new Error(errMsg);
+  }
+  const imageOptions = { format, quality, omitBackground, maxWidth };
+  const extension = FILE_EXTENSIONS[format];
+  const hasMultipleWidths =
+    Array.isArray(multipleWidths) && multipleWidths.length > 0;
+  if (format === "pdf" && (compareWith || hasMultipleWidths)) {
+    const errMsg =
+      "❌ PDF output can't be combined with compareWith or multipleWidths.";
+    console.error(errMsg);
+    throw new Error(errMsg);
+  }
+
+  try {
+    parseClip(clip);
+  } catch (e) {
+    const errMsg = `❌ ${e.message}`;
+    console.error(errMsg);
+    throw new Error(errMsg);
+  }
+  if (
+    (selectors.length > 0 || clip) &&
+    (format === "pdf" || compareWith || hasMultipleWidths)
+  ) {
+    const errMsg =
+      "❌ Element/clip screenshots can't be combined with PDF output, compareWith or multipleWidths.";
+    console.error(errMsg);
+    throw new Error(errMsg);
+  }
+
+  let steps;
+  try {
+    steps = validateActions(applyVariables(actions, variables), {
+      allowScreenshots: false,
+    });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    throw e;
+  }
+
+  if (compareWith) {
+    if (!fs.existsSync(compareWith)) {
+      const errMsg = `❌ Baseline image not found at path: ${compareWith}`;
+      console.error(errMsg);
+      throw new Error(errMsg);
+    }
+    if (hasMultipleWidths) {
+      const errMsg =
+        "❌ compareWith compares a single screenshot and can't be combined with multipleWidths.";
+      console.error(errMsg);
+      throw new Error(errMsg);
+    }
+  }
+
   let acceptSelectors = [];
   if (cookieBannerAutoAccept) {
     if (!cookieSelectorsFilePath) {
@@ -128,6 +312,7 @@ export async function takeScreenshot(options = {}) {
     ? path.join(os.tmpdir(), `playwright_user_data_${Date.now()}`)
     : null;
   const savedFilePaths = [];
+  let ignoreRegions = [];
 
   let contextOptions = {};
 
@@ -157,6 +342,14 @@ export async function takeScreenshot(options = {}) {
     }
   }
 
+  const adapted = contextOptionsForEngine(engine, contextOptions);
+  if (adapted.ignored.length > 0) {
+    console.warn(
+      `⚠️ ${engine} doesn't support ${adapted.ignored.join(", ")}; ignoring it.`
+    );
+    contextOptions = adapted.contextOptions;
+  }
+
   if (blockAds && tempUserDataDir) {
     console.log(
       `🚀 Launching with adblocker (${adblockPath}) using a persistent context.`
@@ -176,13 +369,13 @@ export async function takeScreenshot(options = {}) {
 
       ...contextOptions,
     };
-    context = await chromium.launchPersistentContext(
+    context = await browserType.launchPersistentContext(
       tempUserDataDir,
       persistentContextLaunchOptions
     );
   } else {
-    console.log(`🚀 Launching browser without adblocker...`);
-    browser = await chromium.launch({
+    console.log(`🚀 Launching ${engine} browser without adblocker...`);
+    browser = await browserType.launch({
       headless: headless,
       executablePath: executablePath,
       slowMo: slowMoDelta,
@@ -190,22 +383,31 @@ export async function takeScreenshot(options = {}) {
     context = await browser.newContext(contextOptions);
   }
 
-  const page = await context.newPage();
+  if (blockAds) {
+    console.log(
+      `⏳ Waiting for the ad-blocker to be ready (up to ${
+        adblockReadyTimeout / 1000
+      }s)...`
+    );
+    const { ready, elapsedMs } = await waitForAdblockReady(context, {
+      timeoutMs: adblockReadyTimeout,
+      probeUrl: adblockProbeUrl,
+    });
+    if (ready) {
+      console.log(`🛡️ Ad-blocker ready after ${elapsedMs}ms.`);
+    } else {
+      console.warn(
+        `⚠️ Ad-blocker not verified as ready after ${elapsedMs}ms. Ads may still show up.`
+      );
+    }
+  }
+
+  let page = await context.newPage();
+  const session = watchPage(page, { logPrefix: "🎬" });
 
   console.log(`🌐 Navigating to ${url}...`);
   await page.goto(url, { waitUntil: "load", timeout: 2 * 60000 });
 
-  if (blockAds) {
-    console.log("⏳ Allowing a moment for adblocker to process the page...");
-    await page.waitForTimeout(2000);
-    console.log("🚀 Warming up the ad-blocker...");
-    const blankPage = await context.newPage();
-    await blankPage.goto("about:blank");
-    await blankPage.waitForTimeout(5 * 1000);
-    await blankPage.close();
-    console.log("done waitning...");
-  }
-
   if (cookieBannerAutoAccept) {
     console.log(
       "🍪 Attempting to auto-accept cookie banner with loaded selectors..."
@@ -239,6 +441,18 @@ export async function takeScreenshot(options = {}) {
     }
   }
 
+  if (steps.length > 0) {
+    console.log(`🎬 Running ${steps.length} step(s) before capturing...`);
+    try {
+      ({ page } = await runActions(page, steps, { logPrefix: "🎬", session }));
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      await context.close().catch(() => {});
+      if (browser) await browser.close().catch(() => {});
+      throw err;
+    }
+  }
+
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
@@ -280,10 +494,13 @@ export async function takeScreenshot(options = {}) {
         outputDir,
         `${saveFilenamePrefix}-${currentLoopWidth}x${
           fullPage ? "full" : heightForLoopViewport
-        }.png`
+        }.${extension}`
       );
       console.log(`📷 Taking screenshot: ${filename}`);
-      await page.screenshot({ path: filename, fullPage: fullPage });
+      fs.writeFileSync(
+        filename,
+        await captureImage(page, { ...imageOptions, fullPage })
+      );
       console.log(`👍 Saved screenshot: ${filename}`);
       savedFilePaths.push(filename);
     }
@@ -316,30 +533,83 @@ export async function takeScreenshot(options = {}) {
       );
     }
 
-    if (fullPage) {
-      filenameParts.push("full");
-    } else {
-      const currentViewport = page.viewportSize();
-      filenameParts.push(
-        `h${
-          currentViewport
-            ? currentViewport.height
-            : actualViewportHeightForFilename
-        }`
-      );
-    }
-
     console.log(`🎨 Applying paint delay: ${delayForPaint}ms`);
     await page.waitForTimeout(delayForPaint);
 
-    const finalFilename = path.join(
-      outputDir,
-      `${filenameParts.join("-")}.png`
-    );
-    console.log(`📷 Taking screenshot: ${finalFilename}`);
-    await page.screenshot({ path: finalFilename, fullPage: fullPage });
-    console.log(`👍 Saved screenshot: ${finalFilename}`);
-    savedFilePaths.push(finalFilename);
+    if (selectors.length > 0 || clip) {
+      const baseName = filenameParts.join("-");
+      if (selectors.length > 0) {
+        console.log(`🔎 Capturing ${selectors.length} element(s)...`);
+        const captures = await captureElements(page, selectors, {
+          ...imageOptions,
+          padding,
+        });
+        captures.forEach(({ selector, buffer }, index) => {
+          const filename = path.join(
+            outputDir,
+            `${baseName}-el${index + 1}-${_selectorSlug(selector)}.${extension}`
+          );
+          fs.writeFileSync(filename, buffer);
+          console.log(`👍 Saved screenshot of "${selector}": ${filename}`);
+          savedFilePaths.push(filename);
+        });
+      }
+      if (clip) {
+        const filename = path.join(
+          outputDir,
+          `${baseName}-clip-${clip.x}_${clip.y}_${clip.width}x${clip.height}.${extension}`
+        );
+        console.log(`📷 Taking clipped screenshot: ${filename}`);
+        fs.writeFileSync(
+          filename,
+          await captureClip(page, clip, { ...imageOptions, padding })
+        );
+        console.log(`👍 Saved screenshot: ${filename}`);
+        savedFilePaths.push(filename);
+      }
+    } else {
+      if (format === "pdf") {
+        filenameParts.push(
+          `${pdfOptions.format || "A4"}${
+            pdfOptions.landscape ? "_landscape" : ""
+          }`
+        );
+      } else if (fullPage) {
+        filenameParts.push("full");
+      } else {
+        const currentViewport = page.viewportSize();
+        filenameParts.push(
+          `h${
+            currentViewport
+              ? currentViewport.height
+              : actualViewportHeightForFilename
+          }`
+        );
+      }
+
+      const finalFilename = path.join(
+        outputDir,
+        `${filenameParts.join("-")}.${extension}`
+      );
+      if (compareWith) {
+        ignoreRegions = await measureIgnoreRegions(page, ignoreSelectors, {
+          fullPage,
+        });
+      }
+      if (format === "pdf") {
+        console.log(`📄 Rendering PDF: ${finalFilename}`);
+        fs.writeFileSync(finalFilename, await renderPdf(page, pdfOptions));
+        console.log(`👍 Saved PDF: ${finalFilename}`);
+      } else {
+        console.log(`📷 Taking screenshot: ${finalFilename}`);
+        fs.writeFileSync(
+          finalFilename,
+          await captureImage(page, { ...imageOptions, fullPage })
+        );
+        console.log(`👍 Saved screenshot: ${finalFilename}`);
+      }
+      savedFilePaths.push(finalFilename);
+    }
   }
 
   await context.close();
@@ -378,69 +648,371 @@ export async function takeScreenshot(options = {}) {
     }
   }
 
+  if (compareWith) {
+    const screenshotPath = savedFilePaths[0];
+    const report = compareImages(compareWith, screenshotPath, {
+      threshold: compareThreshold,
+      ignoreRegions,
+    });
+    const diffPath = screenshotPath.replace(/\.png$/, "-diff.png");
+    fs.writeFileSync(diffPath, report.diffImage);
+    savedFilePaths.push(diffPath);
+    console.log(
+      `🔍 Compared with baseline ${compareWith}: ${(report.score * 100).toFixed(
+        3
+      )}% of pixels differ (${report.diffPixels}/${report.totalPixels}${
+        report.sizeMismatch ? ", image sizes differ" : ""
+      }). Diff image: ${diffPath}`
+    );
+    if (!report.passed) {
+      throw new VisualRegressionError({ ...report, diffPath });
+    }
+  }
+
   console.log("✅ Screenshot process complete!");
   return savedFilePaths;
 }
 
+/**
+ * Flags of the screenshotter CLI. `--config` files use the same names.
+ */
+export const CLI_FLAGS = [
+  {
+    name: "fullPage",
+    type: "boolean",
+    default: true,
+    description: "Capture the full page instead of just the viewport.",
+  },
+  {
+    name: "cookieBannerAutoAccept",
+    type: "boolean",
+    default: false,
+    description: "Try to accept cookie banners. Needs --cookieSelectorsFile.",
+  },
+  {
+    name: "cookieSelectorsFile",
+    aliases: ["csf"],
+    type: "string",
+    option: "cookieSelectorsFilePath",
+    description:
+      "File with cookie banner selectors, one per line (# for comments).",
+  },
+  {
+    name: "delayForPaint",
+    type: "integer",
+    min: 0,
+    default: 1000,
+    description: "Milliseconds to wait before capturing.",
+  },
+  {
+    name: "blockAds",
+    type: "boolean",
+    default: false,
+    description: "Block ads. Needs --adblockPath.",
+  },
+  {
+    name: "adblockPath",
+    type: "string",
+    description:
+      "Path to an UNPACKED adblocker extension (with manifest.json).",
+  },
+  {
+    name: "adblockReadyTimeout",
+    type: "integer",
+    min: 0,
+    default: 30000,
+    description: "Max milliseconds to wait for the adblocker to be ready.",
+  },
+  {
+    name: "adblockProbeUrl",
+    type: "string",
+    description:
+      "A URL the filter lists block, requested to check that the adblocker is ready.",
+  },
+  {
+    name: "deviceName",
+    type: "string",
+    description: "Playwright device to emulate (see list-devices.js).",
+    parse: (value) => {
+      if (!devices[value]) {
+        throw new Error(
+          `Unknown device "${value}". Run "node list-devices.js" for the list.`
+        );
+      }
+      return value;
+    },
+  },
+  {
+    name: "viewportWidth",
+    aliases: ["vwpw"],
+    type: "integer",
+    min: 1,
+    description: "Viewport width, if --deviceName is not set.",
+  },
+  {
+    name: "viewportHeight",
+    aliases: ["vwph"],
+    type: "integer",
+    min: 1,
+    description: "Viewport height, if --deviceName is not set.",
+  },
+  {
+    name: "deviceScaleFactor",
+    type: "number",
+    min: 0.1,
+    description: "Device scale factor, if --deviceName is not set.",
+  },
+  {
+    name: "saveFilenamePrefix",
+    aliases: ["save_to"],
+    type: "string",
+    default: "screenshot",
+    description: "Prefix for output filenames.",
+  },
+  {
+    name: "outputDir",
+    type: "string",
+    default: ".",
+    description: "Directory to save captures in.",
+  },
+  {
+    name: "multipleWidths",
+    type: "list",
+    itemType: "integer",
+    min: 1,
+    description: "Comma-separated widths to capture at, e.g. 320,768,1920.",
+  },
+  {
+    name: "headless",
+    type: "boolean",
+    default: true,
+    description: "Run the browser headless.",
+  },
+  {
+    name: "engine",
+    type: "string",
+    choices: BROWSER_ENGINES,
+    default: "chromium",
+    description: "Browser engine. --blockAds and PDF output need chromium.",
+  },
+  {
+    name: "compareWith",
+    type: "string",
+    description: "Baseline PNG to compare the screenshot against.",
+  },
+  {
+    name: "compareThreshold",
+    type: "number",
+    min: 0,
+    max: 1,
+    default: 0,
+    description:
+      "Max share (0..1) of changed pixels before the comparison fails.",
+  },
+  {
+    name: "ignoreSelectors",
+    type: "list",
+    separator: ";",
+    description: "Semicolon-separated selectors left out of the comparison.",
+  },
+  {
+    name: "selectors",
+    type: "list",
+    separator: ";",
+    description: "Semicolon-separated selectors; saves one image per element.",
+  },
+  {
+    name: "clip",
+    type: "string",
+    parse: parseClip,
+    description: "Region to capture as x,y,width,height (CSS pixels).",
+  },
+  {
+    name: "padding",
+    type: "string",
+    parse: parsePadding,
+    defaultLabel: "0",
+    description: "Extra pixels around --selectors/--clip: 1 to 4 values.",
+  },
+  {
+    name: "format",
+    type: "string",
+    choices: [...IMAGE_FORMATS, "jpg", "pdf"],
+    default: "png",
+    description: "Output format.",
+    parse: (value) => (value === "jpg" ? "jpeg" : value),
+  },
+  {
+    name: "quality",
+    type: "integer",
+    min: 0,
+    max: 100,
+    description: "Image quality for jpeg and webp.",
+  },
+  {
+    name: "maxWidth",
+    type: "integer",
+    min: 1,
+    description: "Scale wider images down to this many pixels.",
+  },
+  {
+    name: "omitBackground",
+    type: "boolean",
+    default: false,
+    description: "Transparent background (png and webp).",
+  },
+  {
+    name: "pdfFormat",
+    type: "string",
+    option: "pdfOptions.format",
+    defaultLabel: "A4",
+    description: "PDF paper format.",
+  },
+  {
+    name: "pdfLandscape",
+    type: "boolean",
+    option: "pdfOptions.landscape",
+    defaultLabel: "no",
+    description: "Print the PDF in landscape.",
+  },
+  {
+    name: "pdfMargin",
+    type: "string",
+    option: "pdfOptions.margin",
+    description: "PDF margins: 1 to 4 values, e.g. 1cm,2cm.",
+  },
+  {
+    name: "pdfPrintBackground",
+    type: "boolean",
+    option: "pdfOptions.printBackground",
+    defaultLabel: "yes",
+    description: "Print background graphics.",
+  },
+  {
+    name: "pdfHeaderTemplate",
+    type: "string",
+    option: "pdfOptions.headerTemplate",
+    description: "HTML template for the PDF header.",
+  },
+  {
+    name: "pdfFooterTemplate",
+    type: "string",
+    option: "pdfOptions.footerTemplate",
+    description: "HTML template for the PDF footer.",
+  },
+  {
+    name: "pdfMedia",
+    type: "string",
+    choices: PDF_MEDIA_TYPES,
+    option: "pdfOptions.media",
+    defaultLabel: "print",
+    description: "CSS media type for the PDF.",
+  },
+  {
+    name: "actions",
+    type: "string",
+    description:
+      "JSON or YAML file with steps to run before capturing (see screencast.js).",
+    parse: (value) =>
+      Array.isArray(value)
+        ? validateActions(value)
+        : loadActionScript(value).actions,
+  },
+  {
+    name: "variables",
+    type: "string",
+    aliases: ["var"],
+    parse: parseKeyValueList,
+    description:
+      "Values for ${name} placeholders in --actions steps, as name=value pairs.",
+  },
+  {
+    name: "config",
+    type: "string",
+    description:
+      'JSON file with any of these options (and per-URL "overrides").',
+  },
+  {
+    name: "debug",
+    type: "boolean",
+    default: false,
+    description: "Print stack traces on errors.",
+  },
+];
+
 const __currentFilePath = fileURLToPath(import.meta.url);
 if (process.argv[1] === __currentFilePath) {
-  const cliOptions = {
-    url: "https://example.com",
-    fullPage: true,
-    cookieBannerAutoAccept: false,
-    cookieSelectorsFilePath: null,
-    delayForPaint: 1000,
-    blockAds: false,
-    adblockPath: null,
-    deviceName: null,
-    viewportWidth: null,
-    viewportHeight: null,
-    deviceScaleFactor: null,
-    saveFilenamePrefix: "screenshot",
-    outputDir: ".",
-    multipleWidths: null,
-    headless: true,
-    debug: false,
-  };
-
-  process.argv.slice(2).forEach((arg) => {
-    const [key, value] = arg.split("=");
-    if (arg.startsWith("http://") || arg.startsWith("https://")) {
-      cliOptions.url = arg;
-    } else if (key === "--fullPage") {
-      cliOptions.fullPage = value !== "no";
-    } else if (key === "--cookieBannerAutoAccept") {
-      cliOptions.cookieBannerAutoAccept = value !== "no";
-    } else if (key === "--cookieSelectorsFile" || key === "--csf") {
-      cliOptions.cookieSelectorsFilePath = value;
-    } else if (key === "--delayForPaint") {
-      cliOptions.delayForPaint = parseInt(value, 10);
-    } else if (key === "--blockAds") {
-      cliOptions.blockAds = value === "yes";
-    } else if (key === "--adblockPath") {
-      cliOptions.adblockPath = value;
-    } else if (key === "--deviceName") {
-      cliOptions.deviceName = value;
-    } else if (key === "--viewportWidth" || key === "--vwpw") {
-      cliOptions.viewportWidth = Number(value);
-    } else if (key === "--viewportHeight" || key === "--vwph") {
-      cliOptions.viewportHeight = Number(value);
-    } else if (key === "--deviceScaleFactor") {
-      cliOptions.deviceScaleFactor = Number(value);
-    } else if (key === "--saveFilenamePrefix" || key === "--save_to") {
-      cliOptions.saveFilenamePrefix = value;
-    } else if (key === "--outputDir") {
-      cliOptions.outputDir = value;
-    } else if (key === "--multipleWidths") {
-      cliOptions.multipleWidths = value.split(",").map(Number);
-    } else if (key === "--headless") {
-      cliOptions.headless = value !== "no";
-    } else if (key === "--debug") {
-      cliOptions.debug = value !== "no";
-    } else {
-      console.warn(`Unknown argument: ${arg}`);
+  let cliOptions;
+  try {
+    const { flags, positionals, help } = parseCommandLine(
+      process.argv.slice(2),
+      CLI_FLAGS
+    );
+    if (help) {
+      console.log(
+        formatHelp(CLI_FLAGS, {
+          usage: "node screenshotter.js [url] [options]",
+          footer:
+            'The URL defaults to https://example.com (or the config file\'s "url").\nExit codes: 0 success, 1 capture failed, 2 visual regression, 3 assertion failed, 64 invalid usage.',
+        })
+      );
+      process.exit(0);
+    }
+    if (positionals.length > 1) {
+      throw new CliUsageError(
+        `Expected one URL, got ${positionals.length}: ${positionals.join(" ")}`
+      );
+    }
+
+    const config = flags.config
+      ? readConfigFile(flags.config, CLI_FLAGS)
+      : { url: undefined, flags: {}, overrides: [] };
+    const url = positionals[0] || config.url || "https://example.com";
+    if (!/^https?:\/\//.test(url)) {
+      throw new CliUsageError(
+        `The URL must start with http:// or https://, got "${url}".`,
+        "url"
+      );
     }
-  });
+    const overrideLayers = config.overrides
+      .filter(({ pattern }) => matchesUrlPattern(pattern, url))
+      .map((override) => override.flags);
+
+    // Command-line flags win over the config file, and per-URL overrides win
+    // over the rest of the config file.
+    cliOptions = {
+      ...buildOptions(CLI_FLAGS, config.flags, ...overrideLayers, flags),
+      url,
+    };
+    if (cliOptions.actions) {
+      try {
+        applyVariables(cliOptions.actions, cliOptions.variables);
+      } catch (e) {
+        throw new CliUsageError(e.message, "variables");
+      }
+    }
+    if (cliOptions.compareWith && cliOptions.maxWidth) {
+      throw new CliUsageError(
+        "--compareWith can't be combined with --maxWidth: the baseline is compared with the unscaled capture.",
+        "maxWidth"
+      );
+    }
+    try {
+      if (cliOptions.blockAds) {
+        assertEngineSupports(cliOptions.engine, "adblock");
+      }
+      if (cliOptions.format === "pdf") {
+        assertEngineSupports(cliOptions.engine, "pdf");
+      }
+    } catch (e) {
+      throw new CliUsageError(e.message, "engine");
+    }
+  } catch (err) {
+    if (!(err instanceof CliUsageError)) throw err;
+    console.error(`❌ ${err.message}`);
+    console.error("👉 Run with --help to see all options.");
+    process.exit(64);
+  }
 
   if (
     (cliOptions.viewportWidth && !cliOptions.viewportHeight) ||
@@ -469,11 +1041,30 @@ if (process.argv[1] === __currentFilePath) {
 
   takeScreenshot(cliOptions)
     .then((savedFiles) => {
-      console.log("\n🎉 All screenshots taken successfully! Files saved:");
+      console.log("\n🎉 All captures taken successfully! Files saved:");
       savedFiles.forEach((file) => console.log(`  - ${file}`));
       process.exit(0);
     })
     .catch((err) => {
+      if (err instanceof VisualRegressionError) {
+        console.error(`\n❌ Visual regression: ${err.message}`);
+        console.error(`   Diff image: ${err.report.diffPath}`);
+        process.exit(2);
+      }
+      if (err instanceof AssertionFailedError) {
+        console.error(`\n❌ Assertion failed: ${err.message}`);
+        console.error(`   Page: ${err.report.url}`);
+        if (err.report.screenshot) {
+          const failurePath = path.join(
+            cliOptions.outputDir || ".",
+            `assertion-failure-step-${err.step}.png`
+          );
+          fs.mkdirSync(path.dirname(failurePath), { recursive: true });
+          fs.writeFileSync(failurePath, err.report.screenshot);
+          console.error(`   Screenshot: ${failurePath}`);
+        }
+        process.exit(3);
+      }
       console.error("\n❌ Screenshotting failed:", err.message);
       if (err.stack && (process.env.DEBUG || cliOptions.debug)) {
         console.error(err.stack);
@@ -0,0 +1,520 @@
+// server.js
+import fs from "fs";
+import http from "http";
+import { fileURLToPath } from "url";
+import {
+  getBrowserPool,
+  QUEUE_OVERFLOW_POLICIES,
+  TaskTimeoutError,
+  PoolOverloadedError,
+  BrowserCrashedError,
+  VisualRegressionError,
+  ElementNotFoundError,
+  ActionValidationError,
+  ActionFailedError,
+  AssertionFailedError,
+  UnsupportedContextOptionError,
+  TaskRejectedError,
+} from "./wirklich.js";
+import { parseCommandLine, formatHelp, buildOptions } from "./cli.js";
+import { CliUsageError } from "./errors.js";
+
+/**
+ * HTTP service mode
+ *
+ * Exposes a single, warm browser pool over a small REST API so other
+ * services don't have to embed Playwright themselves.
+ *
+ *   POST /screenshot  - body: createScreenshotTask options (+ `priority`), returns the image/PDF in `output_format`
+ *                       (or JSON with base64 images when `element_selectors` is given)
+ *   POST /screencast  - body: createScreencastTask options (+ `priority`), returns video/webm
+ *                       (or JSON with the base64 video and stills when `actions` has screenshot steps)
+ *   GET  /stats       - returns pool.getStats() as JSON
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function _poolFlag(name, option, description, extra = {}) {
+  return {
+    name,
+    type: "integer",
+    min: 0,
+    option: `poolOptions.${option}`,
+    description,
+    ...extra,
+  };
+}
+
+export const SERVER_FLAGS = [
+  {
+    name: "port",
+    type: "integer",
+    min: 0,
+    max: 65535,
+    default: 3000,
+    description: "Port to listen on (0 picks a free port).",
+  },
+  {
+    name: "host",
+    type: "string",
+    default: "127.0.0.1",
+    description: "Interface to bind to.",
+  },
+  _poolFlag(
+    "poolSizeDefault",
+    "pool_size_default",
+    "Maximum number of regular browsers."
+  ),
+  _poolFlag(
+    "poolSizeAdblock",
+    "pool_size_adblock",
+    "Maximum number of adblock browsers."
+  ),
+  _poolFlag(
+    "poolMinSizeDefault",
+    "pool_min_size_default",
+    "Regular browsers kept running while idle."
+  ),
+  _poolFlag(
+    "poolMinSizeAdblock",
+    "pool_min_size_adblock",
+    "Adblock browsers kept running while idle."
+  ),
+  _poolFlag(
+    "idleTimeoutMs",
+    "idleTimeoutMs",
+    "Milliseconds before an idle browser above the minimum is closed."
+  ),
+  {
+    name: "adblockPath",
+    type: "string",
+    option: "poolOptions.adblockExtensionPath",
+    description: "Path to an UNPACKED adblocker extension.",
+  },
+  {
+    name: "adblockProbeUrl",
+    type: "string",
+    option: "poolOptions.adblockProbeUrl",
+    description:
+      "A URL the filter lists block, requested to check that the adblocker is ready.",
+  },
+  _poolFlag(
+    "taskTimeoutMs",
+    "taskTimeoutMs",
+    "Milliseconds a task may run before it is aborted.",
+    { min: 1, max: 2 ** 31 - 1 }
+  ),
+  _poolFlag(
+    "maxPagesPerBrowser",
+    "maxPagesPerBrowser",
+    "Tasks a browser may run at once.",
+    { min: 1 }
+  ),
+  _poolFlag(
+    "maxQueueSize",
+    "maxQueueSize",
+    "Tasks that may wait in the queue (0 for no limit)."
+  ),
+  {
+    name: "queueOverflowPolicy",
+    type: "string",
+    choices: QUEUE_OVERFLOW_POLICIES,
+    option: "poolOptions.queueOverflowPolicy",
+    description: "Which task to refuse when the queue is full.",
+  },
+  _poolFlag(
+    "maxQueueWaitMs",
+    "maxQueueWaitMs",
+    "Milliseconds a task may wait for a browser (0 for no limit)."
+  ),
+  _poolFlag(
+    "recycleAfterTasks",
+    "recycleAfterTasks",
+    "Replace a browser after this many tasks (0 to disable)."
+  ),
+  _poolFlag(
+    "maxBrowserAgeMs",
+    "maxBrowserAgeMs",
+    "Replace a browser after this many milliseconds (0 to disable)."
+  ),
+  _poolFlag(
+    "healthCheckIntervalMs",
+    "healthCheckIntervalMs",
+    "Milliseconds between health checks of idle browsers (0 to disable)."
+  ),
+  _poolFlag(
+    "maxCrashRetries",
+    "maxCrashRetries",
+    "How often a task is requeued after its browser crashed."
+  ),
+  {
+    name: "groupsFile",
+    type: "string",
+    option: "poolOptions.groups",
+    parse: (value) => JSON.parse(fs.readFileSync(value, "utf-8")),
+    description: "JSON file with the pool's browser groups.",
+  },
+];
+
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(
+          new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes.`)
+        );
+        // Drain the rest instead of resetting the socket, so the client
+        // gets the 413 before the connection is closed.
+        req.removeAllListeners("data");
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) return;
+      const raw = Buffer.concat(chunks).toString("utf-8").trim();
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          reject(new HttpError(400, "Request body must be a JSON object."));
+          return;
+        }
+        resolve(body);
+      } catch (e) {
+        reject(new HttpError(400, `Invalid JSON body: ${e.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, statusCode, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function sendBuffer(res, contentType, buffer) {
+  res.writeHead(200, {
+    "Content-Type": contentType,
+    "Content-Length": buffer.length,
+  });
+  res.end(buffer);
+}
+
+function encodeComparison({ diffImage, ...comparison }) {
+  return { ...comparison, diffImage: diffImage.toString("base64") };
+}
+
+/**
+ * Starts the HTTP service on top of a browser pool.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=3000] - Port to listen on (0 picks a free port).
+ * @param {string} [options.host="127.0.0.1"] - Interface to bind to.
+ * @param {object} [options.pool] - An existing pool from getBrowserPool. If omitted, one is created from `poolOptions`. `stop()` only shuts down a pool the server created.
+ * @param {object} [options.poolOptions={}] - Options passed to getBrowserPool when no `pool` is given.
+ * @returns {Promise<{server: http.Server, pool: object, port: number, stop: () => Promise<void>}>}
+ */
+export async function startServer(options = {}) {
+  const { port = 3000, host = "127.0.0.1", poolOptions = {} } = options;
+  const ownsPool = !options.pool;
+  const pool = options.pool || (await getBrowserPool(poolOptions));
+  let stopping = false;
+  let stopPromise = null;
+
+  async function handleCapture(req, res, kind) {
+    const { priority = 0, ...requestOptions } = await readJsonBody(req);
+    // Clients must not be able to read the server's environment or files.
+    const taskOptions = {
+      ...requestOptions,
+      env_variables: false,
+      local_files: false,
+    };
+    if (typeof taskOptions.url !== "string" || !taskOptions.url) {
+      throw new HttpError(400, "'url' is required.");
+    }
+    // Clients may shorten the pool's task timeout, not extend it.
+    const { taskTimeoutMs } = pool.getStats().config;
+    if (taskOptions.task_timeout_ms > taskTimeoutMs) {
+      taskOptions.task_timeout_ms = taskTimeoutMs;
+    }
+    // Baselines come inline; the server's files are not the client's.
+    if (taskOptions.compare_with !== undefined) {
+      if (typeof taskOptions.compare_with !== "string") {
+        throw new HttpError(
+          400,
+          "'compare_with' must be a base64-encoded PNG."
+        );
+      }
+      taskOptions.compare_with = Buffer.from(
+        taskOptions.compare_with,
+        "base64"
+      );
+    }
+
+    let taskObject;
+    try {
+      taskObject =
+        kind === "screenshot"
+          ? pool.createScreenshotTask(taskOptions)
+          : pool.createScreencastTask(taskOptions);
+    } catch (e) {
+      if (e instanceof ActionValidationError) {
+        throw new HttpError(400, e.message, {
+          step: e.step,
+          actionType: e.actionType,
+        });
+      }
+      throw new HttpError(400, e.message);
+    }
+
+    console.log(
+      `[Server] ${req.method} ${req.url} -> queueing ${kind} for ${taskObject.originalUrl}`
+    );
+    const handle =
+      kind === "screenshot"
+        ? pool.queueScreenshotTask(taskObject, Number(priority) || 0)
+        : pool.queueScreencastTask(taskObject, Number(priority) || 0);
+
+    // Free the browser slot if the client goes away before we answer.
+    res.on("close", () => {
+      if (!res.writableFinished) handle.cancel("client disconnected");
+    });
+    let result;
+    try {
+      result = await handle;
+    } catch (e) {
+      if (e instanceof TaskRejectedError) throw new HttpError(400, e.message);
+      if (e instanceof TaskTimeoutError) throw new HttpError(504, e.message);
+      if (e instanceof PoolOverloadedError) {
+        throw new HttpError(503, e.message, { reason: e.reason });
+      }
+      if (e instanceof BrowserCrashedError) {
+        throw new HttpError(502, e.message, { crashes: e.crashes });
+      }
+      if (e instanceof VisualRegressionError) {
+        throw new HttpError(422, e.message, {
+          comparison: encodeComparison(e.report),
+        });
+      }
+      if (e instanceof AssertionFailedError) {
+        const { screenshot, ...assertion } = e.report;
+        throw new HttpError(422, e.message, {
+          step: e.step,
+          actionType: e.actionType,
+          assertion: {
+            ...assertion,
+            screenshot: screenshot ? screenshot.toString("base64") : null,
+          },
+        });
+      }
+      if (e instanceof ActionFailedError) {
+        throw new HttpError(422, e.message, {
+          step: e.step,
+          actionType: e.actionType,
+        });
+      }
+      if (e instanceof ElementNotFoundError) {
+        throw new HttpError(422, e.message, { selector: e.selector });
+      }
+      if (e instanceof UnsupportedContextOptionError) {
+        throw new HttpError(400, e.message, { options: e.options });
+      }
+      throw e;
+    }
+
+    // Tasks whose browser crashed are requeued transparently; say so.
+    if (handle.metadata.crashes.length > 0) {
+      res.setHeader("X-Browser-Crashes", handle.metadata.crashes.length);
+    }
+    if (taskObject.returnsStoryboard) {
+      sendJson(res, 200, {
+        video: {
+          contentType: "video/webm",
+          data: result.video.toString("base64"),
+        },
+        images: result.images.map(({ buffer: image, ...still }) => ({
+          ...still,
+          data: image.toString("base64"),
+        })),
+      });
+      return;
+    }
+    if (taskObject.returnsComparison) {
+      sendJson(res, 200, {
+        image: {
+          contentType: taskObject.contentType,
+          data: result.image.toString("base64"),
+        },
+        comparison: encodeComparison(result.comparison),
+      });
+      return;
+    }
+    if (taskObject.returnsElements) {
+      sendJson(res, 200, {
+        images: result.map(({ selector, buffer: image }) => ({
+          selector,
+          contentType: taskObject.contentType,
+          data: image.toString("base64"),
+        })),
+      });
+      return;
+    }
+    const contentType =
+      kind === "screencast" ? "video/webm" : taskObject.contentType;
+    sendBuffer(res, contentType, result);
+  }
+
+  async function handleRequest(req, res) {
+    if (stopping) {
+      throw new HttpError(503, "Server is shutting down.");
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    const route = `${req.method} ${pathname}`;
+
+    switch (route) {
+      case "POST /screenshot":
+        return handleCapture(req, res, "screenshot");
+      case "POST /screencast":
+        return handleCapture(req, res, "screencast");
+      case "GET /stats":
+        return sendJson(res, 200, pool.getStats());
+      default:
+        if (["/screenshot", "/screencast", "/stats"].includes(pathname)) {
+          throw new HttpError(405, `Method ${req.method} not allowed.`);
+        }
+        throw new HttpError(404, `Not found: ${pathname}`);
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        console.error(
+          `[Server] ${req.method} ${req.url} failed:`,
+          error.message.split("\n")[0]
+        );
+      }
+      if (res.destroyed) return;
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      if (statusCode === 413) {
+        res.setHeader("Connection", "close");
+        res.on("finish", () => req.socket.end());
+      }
+      sendJson(res, statusCode, {
+        error: error.message.split("\n")[0],
+        ...error.details,
+      });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+  const actualPort = server.address().port;
+  console.log(`[Server] Listening on http://${host}:${actualPort}`);
+
+  /**
+   * Stops accepting requests, waits for in-flight requests to finish,
+   * then shuts the pool down if the server created it.
+   */
+  function stop() {
+    if (stopPromise) return stopPromise;
+    stopping = true;
+    console.log("[Server] Stopping...");
+
+    stopPromise = new Promise((resolve) => {
+      server.close(() => resolve());
+      if (server.closeIdleConnections) server.closeIdleConnections();
+    }).then(async () => {
+      if (ownsPool) await pool.shutdown();
+      console.log("[Server] Stopped.");
+    });
+    return stopPromise;
+  }
+
+  return { server, pool, port: actualPort, stop };
+}
+
+const __currentFilePath = fileURLToPath(import.meta.url);
+if (process.argv[1] === __currentFilePath) {
+  let cliOptions;
+  try {
+    const { flags, positionals, help } = parseCommandLine(
+      process.argv.slice(2),
+      SERVER_FLAGS
+    );
+    if (help) {
+      console.log(
+        formatHelp(SERVER_FLAGS, {
+          usage: "node server.js [--port=3000] [--poolSizeDefault=<n>] ...",
+          footer: "Exit codes: 0 stopped, 1 failed, 64 invalid usage.",
+        })
+      );
+      process.exit(0);
+    }
+    if (positionals.length > 0) {
+      throw new CliUsageError(
+        `Unexpected argument(s): ${positionals.join(" ")}`
+      );
+    }
+    cliOptions = { poolOptions: {}, ...buildOptions(SERVER_FLAGS, flags) };
+  } catch (err) {
+    if (!(err instanceof CliUsageError)) throw err;
+    console.error(`❌ ${err.message}`);
+    console.error("👉 Run with --help to see all options.");
+    process.exit(64);
+  }
+
+  startServer(cliOptions)
+    .then(({ stop }) => {
+      const onSignal = (signal) => {
+        console.log(`[Server] Received ${signal}.`);
+        stop().then(
+          () => process.exit(0),
+          (err) => {
+            console.error("[Server] Error during shutdown:", err.message);
+            process.exit(1);
+          }
+        );
+      };
+      process.once("SIGINT", onSignal);
+      process.once("SIGTERM", onSignal);
+    })
+    .catch((err) => {
+      console.error("\n❌ Failed to start server:", err.message);
+      process.exit(1);
+    });
+}
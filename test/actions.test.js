@@ -0,0 +1,165 @@
+// test/actions.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateActions, applyVariables } from "../actions.js";
+import { ActionValidationError } from "../errors.js";
+
+function assertInvalid(actions, options, step, pattern) {
+  assert.throws(
+    () => validateActions(actions, options),
+    (error) =>
+      error instanceof ActionValidationError &&
+      error.step === step &&
+      pattern.test(error.message)
+  );
+}
+
+test("accepts a valid script and returns it", () => {
+  const actions = [
+    { type: "navigate", url: "https://example.com" },
+    { type: "click", selector: "#accept", optional: true },
+    {
+      type: "if",
+      condition: { visible: ".banner" },
+      then: [{ type: "click", selector: ".close" }],
+      else: [{ type: "waitForTimeout", duration: 100 }],
+    },
+    { type: "screenshot", name: "after" },
+  ];
+  assert.equal(validateActions(actions), actions);
+});
+
+test("names the step of an invalid action, nested ones included", () => {
+  assertInvalid([{ type: "teleport" }], {}, 1, /unknown action type/);
+  assertInvalid(
+    [{ type: "navigate", url: "https://example.com" }, { type: "click" }],
+    {},
+    2,
+    /Click/
+  );
+  assertInvalid(
+    [
+      {
+        type: "if",
+        condition: { visible: "#a" },
+        then: [{ type: "click", selector: "#a" }],
+        else: [{ type: "fill" }],
+      },
+    ],
+    {},
+    "1.else.1",
+    /Fill/
+  );
+  assertInvalid(
+    [{ type: "click", selector: "#a", postActionDelay: "1s" }],
+    {},
+    1,
+    /postActionDelay/
+  );
+  assertInvalid({ type: "click" }, {}, null, /must be an array/);
+});
+
+test("enforces allowScreenshots and allowLocalFiles", () => {
+  assertInvalid(
+    [{ type: "screenshot", name: "x" }],
+    { allowScreenshots: false },
+    1,
+    /only supported in screencasts/
+  );
+  assertInvalid(
+    [
+      { type: "screenshot", name: "x" },
+      { type: "screenshot", name: "x" },
+    ],
+    {},
+    2,
+    /already named "x"/
+  );
+  assertInvalid(
+    [{ type: "navigate", url: "file:///etc/passwd" }],
+    { allowLocalFiles: false },
+    1,
+    /only http\(s\)/
+  );
+  assertInvalid(
+    [{ type: "setInputFiles", selector: "input", files: "/etc/passwd" }],
+    { allowLocalFiles: false },
+    1,
+    /file paths are not allowed/
+  );
+});
+
+test("substitutes variables in every string, leaving the input alone", () => {
+  const actions = [
+    { type: "fill", selector: "#user", text: "${user}" },
+    {
+      type: "repeat",
+      times: 2,
+      steps: [{ type: "navigate", url: "https://example.com/${ plan }" }],
+    },
+    { type: "click", selector: "#a", options: { button: "${button}" } },
+  ];
+  const substituted = applyVariables(
+    actions,
+    { user: "alice", plan: "pro", button: "right" },
+    { env: null }
+  );
+  assert.deepEqual(substituted, [
+    { type: "fill", selector: "#user", text: "alice" },
+    {
+      type: "repeat",
+      times: 2,
+      steps: [{ type: "navigate", url: "https://example.com/pro" }],
+    },
+    { type: "click", selector: "#a", options: { button: "right" } },
+  ]);
+  assert.equal(actions[0].text, "${user}");
+});
+
+test("reads env variables only when allowed", () => {
+  const actions = [{ type: "fill", selector: "#p", text: "${env.SECRET}" }];
+  assert.equal(
+    applyVariables(actions, {}, { env: { SECRET: "s3cret" } })[0].text,
+    "s3cret"
+  );
+  assert.throws(
+    () => applyVariables(actions, {}, { env: null }),
+    /environment variables are not available/
+  );
+  assert.throws(
+    () => applyVariables(actions, {}, { env: {} }),
+    /SECRET is not set/
+  );
+});
+
+test("rejects unknown variables and keeps escaped ones", () => {
+  assert.throws(
+    () =>
+      applyVariables([{ type: "fill", selector: "#a", text: "${nope}" }], {}),
+    (error) =>
+      error instanceof ActionValidationError &&
+      error.step === 1 &&
+      /unknown variable/.test(error.message)
+  );
+  assert.equal(
+    applyVariables([{ type: "fill", selector: "#a", text: "$${user}" }], {
+      user: "alice",
+    })[0].text,
+    "${user}"
+  );
+});
+
+test("leaves evaluate scripts as written but substitutes their arg", () => {
+  const [step] = applyVariables(
+    [
+      {
+        type: "evaluate",
+        script: "(name) => `${name}!`",
+        arg: { name: "${user}" },
+      },
+    ],
+    { user: "alice" }
+  );
+  assert.equal(step.script, "(name) => `${name}!`");
+  assert.deepEqual(step.arg, { name: "alice" });
+});
@@ -0,0 +1,84 @@
+// test/batch.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseUrlList,
+  parseCsv,
+  parseCsvEntries,
+  parseSitemap,
+} from "../batch.js";
+
+test("reads URL lists, skipping blank lines and comments", () => {
+  assert.deepEqual(
+    parseUrlList("https://a.example\n\n# skipped\r\n  https://b.example  \n"),
+    [
+      { url: "https://a.example", options: {} },
+      { url: "https://b.example", options: {} },
+    ]
+  );
+});
+
+test("splits CSV with quoted fields, CRLF and blank rows", () => {
+  const text =
+    'url,note\r\nhttps://a.example,"one, two"\r\n\r\nhttps://b.example,"say ""hi""\nbye"';
+  assert.deepEqual(parseCsv(text), [
+    ["url", "note"],
+    ["https://a.example", "one, two"],
+    ["https://b.example", 'say "hi"\nbye'],
+  ]);
+});
+
+test("turns CSV rows into entries with typed options", () => {
+  const text = [
+    "url,full_page_screenshot,viewport_width,device_name,element_selectors",
+    'https://a.example,yes,1280,,"[""#main""]"',
+    "https://b.example,no,,iPhone 13,",
+  ].join("\n");
+  assert.deepEqual(parseCsvEntries(text), [
+    {
+      url: "https://a.example",
+      options: {
+        full_page_screenshot: true,
+        viewport_width: 1280,
+        element_selectors: ["#main"],
+      },
+    },
+    {
+      url: "https://b.example",
+      options: { full_page_screenshot: false, device_name: "iPhone 13" },
+    },
+  ]);
+});
+
+test("needs a url column and a url in every row", () => {
+  assert.throws(() => parseCsvEntries("link\nhttps://a.example"), /"url"/);
+  assert.throws(
+    () => parseCsvEntries("url,note\nhttps://a.example,x\n,y"),
+    /row 3 has no url/
+  );
+});
+
+test("extracts page URLs from a urlset sitemap", () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://a.example/?x=1&amp;y=2</loc><lastmod>2024-01-01</lastmod></url>
+  <url>
+    <loc><![CDATA[https://a.example/about]]></loc>
+  </url>
+</urlset>`;
+  assert.deepEqual(parseSitemap(xml), {
+    urls: ["https://a.example/?x=1&y=2", "https://a.example/about"],
+    sitemaps: [],
+  });
+});
+
+test("extracts child sitemaps from a sitemap index", () => {
+  const xml = `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://a.example/pages.xml</loc></sitemap>
+  <sitemap><loc>https://a.example/posts.xml</loc></sitemap>
+</sitemapindex>`;
+  assert.deepEqual(parseSitemap(xml), {
+    urls: [],
+    sitemaps: ["https://a.example/pages.xml", "https://a.example/posts.xml"],
+  });
+});
@@ -0,0 +1,196 @@
+// test/cli.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  parseCommandLine,
+  readConfigFile,
+  buildOptions,
+  matchesUrlPattern,
+  parseKeyValueList,
+} from "../cli.js";
+import { CliUsageError } from "../errors.js";
+
+const SPECS = [
+  { name: "fullPage", type: "boolean", default: false, aliases: ["fp"] },
+  { name: "width", type: "integer", min: 1, max: 4000, default: 1920 },
+  { name: "quality", type: "number", min: 0, max: 100 },
+  {
+    name: "format",
+    type: "string",
+    choices: ["png", "jpeg"],
+    default: "png",
+  },
+  { name: "widths", type: "list", itemType: "integer" },
+  {
+    name: "size",
+    type: "string",
+    option: "poolOptions.size",
+    parse: (value) => {
+      if (!/^\d+x\d+$/.test(value)) throw new Error("use WIDTHxHEIGHT.");
+      return value;
+    },
+  },
+  { name: "config", type: "string" },
+];
+
+function writeConfig(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wirklich-cli-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, "config.json");
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return configPath;
+}
+
+test("parses flags in all their forms", () => {
+  const { flags, positionals, help } = parseCommandLine(
+    [
+      "https://example.com",
+      "--fp",
+      "--width",
+      "800",
+      "--quality=80.5",
+      "--format=jpeg",
+      "--widths=320,768",
+      "--",
+      "--not-a-flag",
+    ],
+    SPECS
+  );
+  assert.deepEqual(flags, {
+    fullPage: true,
+    width: 800,
+    quality: 80.5,
+    format: "jpeg",
+    widths: [320, 768],
+  });
+  assert.deepEqual(positionals, ["https://example.com", "--not-a-flag"]);
+  assert.equal(help, false);
+});
+
+test("reads --no-flag and boolean words", () => {
+  assert.deepEqual(parseCommandLine(["--no-fullPage"], SPECS).flags, {
+    fullPage: false,
+  });
+  assert.deepEqual(parseCommandLine(["--fullPage=yes"], SPECS).flags, {
+    fullPage: true,
+  });
+  assert.equal(parseCommandLine(["-h"], SPECS).help, true);
+});
+
+test("rejects unknown flags and bad values with a CliUsageError", () => {
+  assert.throws(
+    () => parseCommandLine(["--wid=10"], SPECS),
+    (error) =>
+      error instanceof CliUsageError &&
+      error.flag === "wid" &&
+      /Did you mean --width\?/.test(error.message)
+  );
+  for (const argv of [
+    ["--width=0"],
+    ["--width=1.5"],
+    ["--quality=abc"],
+    ["--format=gif"],
+    ["--width"],
+  ]) {
+    assert.throws(() => parseCommandLine(argv, SPECS), CliUsageError);
+  }
+});
+
+test("wraps errors of a flag's parse function", () => {
+  assert.deepEqual(parseCommandLine(["--size=10x20"], SPECS).flags, {
+    size: "10x20",
+  });
+  assert.throws(
+    () => parseCommandLine(["--size=10"], SPECS),
+    (error) =>
+      error instanceof CliUsageError &&
+      error.message === "--size: use WIDTHxHEIGHT."
+  );
+});
+
+test("reads config files with per-URL overrides", (t) => {
+  const configPath = writeConfig(t, {
+    url: "https://example.com",
+    width: 1280,
+    overrides: { "https://example.com/blog/*": { width: "375", fp: true } },
+  });
+  assert.deepEqual(readConfigFile(configPath, SPECS), {
+    url: "https://example.com",
+    flags: { width: 1280 },
+    overrides: [
+      {
+        pattern: "https://example.com/blog/*",
+        flags: { width: 375, fullPage: true },
+      },
+    ],
+  });
+});
+
+test("rejects config files with unknown keys or bad values", (t) => {
+  assert.throws(
+    () => readConfigFile(writeConfig(t, { widht: 10 }), SPECS),
+    CliUsageError
+  );
+  assert.throws(
+    () =>
+      readConfigFile(
+        writeConfig(t, { overrides: { "*": { width: 0 } } }),
+        SPECS
+      ),
+    /overrides "\*"/
+  );
+  assert.throws(
+    () => readConfigFile(writeConfig(t, { config: "other.json" }), SPECS),
+    CliUsageError
+  );
+  assert.throws(() => readConfigFile("/no/such/config.json", SPECS), {
+    name: "CliUsageError",
+  });
+});
+
+test("builds options from defaults and layers, later layers winning", () => {
+  const options = buildOptions(
+    SPECS,
+    { width: 1280, size: "1x1" },
+    { width: 375 },
+    { fullPage: true }
+  );
+  assert.deepEqual(options, {
+    fullPage: true,
+    width: 375,
+    format: "png",
+    poolOptions: { size: "1x1" },
+  });
+});
+
+test("matches URL patterns with * wildcards", () => {
+  assert.equal(
+    matchesUrlPattern("https://example.com/*", "https://example.com/a/b"),
+    true
+  );
+  assert.equal(
+    matchesUrlPattern("https://example.com/*", "https://example.org/"),
+    false
+  );
+  assert.equal(
+    matchesUrlPattern("*.example.com/?q=1", "https://www.example.com/?q=1"),
+    true
+  );
+  assert.equal(
+    matchesUrlPattern("https://example.com/", "https://example.com/x"),
+    false
+  );
+});
+
+test("parses name=value lists", () => {
+  assert.deepEqual(parseKeyValueList("user=alice, plan=pro,url=a=b,"), {
+    user: "alice",
+    plan: "pro",
+    url: "a=b",
+  });
+  assert.deepEqual(parseKeyValueList({ count: 3 }), { count: "3" });
+  assert.throws(() => parseKeyValueList("novalue"), /expected name=value/);
+});
@@ -0,0 +1,64 @@
+// test/compare.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PNG } from "pngjs";
+import { compareImages, isPng } from "../compare.js";
+
+/** A PNG of `width`x`height` white pixels, with `black` rectangles drawn on it. */
+function makePng(width, height, black = []) {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  for (const { x, y, w, h } of black) {
+    for (let row = y; row < y + h; row++) {
+      for (let col = x; col < x + w; col++) {
+        const offset = (row * width + col) * 4;
+        png.data[offset] = png.data[offset + 1] = png.data[offset + 2] = 0;
+      }
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+test("passes identical images", () => {
+  const image = makePng(10, 10);
+  const report = compareImages(image, image);
+  assert.equal(report.passed, true);
+  assert.equal(report.diffPixels, 0);
+  assert.equal(report.score, 0);
+  assert.equal(report.totalPixels, 100);
+  assert.equal(report.baseline, "<buffer>");
+  assert.equal(isPng(report.diffImage), true);
+});
+
+test("scores changed pixels against the threshold", () => {
+  const baseline = makePng(10, 10);
+  const current = makePng(10, 10, [{ x: 0, y: 0, w: 5, h: 2 }]);
+  const strict = compareImages(baseline, current);
+  assert.equal(strict.passed, false);
+  assert.equal(strict.diffPixels, 10);
+  assert.equal(strict.score, 0.1);
+  assert.equal(
+    compareImages(baseline, current, { threshold: 0.1 }).passed,
+    true
+  );
+});
+
+test("ignores changes inside ignore regions", () => {
+  const baseline = makePng(10, 10);
+  const current = makePng(10, 10, [{ x: 2, y: 2, w: 3, h: 3 }]);
+  const report = compareImages(baseline, current, {
+    ignoreRegions: [{ x: 1, y: 1, width: 5, height: 5 }],
+  });
+  assert.equal(report.passed, true);
+  assert.equal(report.diffPixels, 0);
+  assert.equal(report.ignoreRegions.length, 1);
+});
+
+test("counts the area only one image covers as changed", () => {
+  const report = compareImages(makePng(10, 10), makePng(10, 12));
+  assert.equal(report.sizeMismatch, true);
+  assert.equal(report.width, 10);
+  assert.equal(report.height, 12);
+  assert.equal(report.diffPixels, 20);
+  assert.equal(report.passed, false);
+});
@@ -0,0 +1,150 @@
+// test/helpers/fake-browser.js
+import { mock } from "node:test";
+import { chromium, firefox, webkit } from "playwright";
+
+/**
+ * Fake browsers
+ *
+ * Importing this module replaces `launch()` of Playwright's browser types, so
+ * the pool can be tested without browsers installed. The fakes support what
+ * the pool and createScreenshotTask use; `crash()` makes a browser disconnect
+ * the way a crashed one does.
+ */
+
+/** Every fake browser launched so far, in launch order. */
+export const launchedBrowsers = [];
+
+function _createPage(context) {
+  let closed = false;
+  const wait = (ms) =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      context.onClose(() => {
+        clearTimeout(timer);
+        reject(new Error("Target page, context or browser has been closed"));
+      });
+    });
+  return {
+    setDefaultTimeout() {},
+    async goto() {
+      await wait(1);
+    },
+    async waitForTimeout(ms) {
+      await wait(Math.min(ms, 5));
+    },
+    async waitForSelector() {},
+    async evaluate() {},
+    async screenshot() {
+      if (context.closed) throw new Error("Target closed");
+      return Buffer.from("fake-image");
+    },
+    url: () => "about:blank",
+    video: () => null,
+    on() {},
+    off() {},
+    once() {},
+    isClosed: () => closed,
+    async close() {
+      closed = true;
+    },
+  };
+}
+
+function _createContext() {
+  const closeListeners = [];
+  const context = {
+    closed: false,
+    onClose(listener) {
+      closeListeners.push(listener);
+    },
+    async newPage() {
+      return _createPage(context);
+    },
+    pages: () => [],
+    async close() {
+      if (context.closed) return;
+      context.closed = true;
+      closeListeners.forEach((listener) => listener());
+    },
+  };
+  return context;
+}
+
+function _createBrowser(engine) {
+  const listeners = { disconnected: [] };
+  const contexts = [];
+  const disconnect = () => {
+    if (!browser.connected) return;
+    browser.connected = false;
+    listeners.disconnected.forEach((listener) => listener());
+  };
+  const browser = {
+    engine,
+    connected: true,
+    contexts,
+    isConnected: () => browser.connected,
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+    },
+    async newContext() {
+      if (!browser.connected) throw new Error("Browser has been closed");
+      const context = _createContext();
+      contexts.push(context);
+      return context;
+    },
+    async close() {
+      disconnect();
+    },
+    /** Disconnects like a crashed browser: contexts go away first. */
+    crash() {
+      contexts.forEach((context) => context.close());
+      disconnect();
+    },
+  };
+  launchedBrowsers.push(browser);
+  return browser;
+}
+
+for (const [engine, browserType] of [
+  ["chromium", chromium],
+  ["firefox", firefox],
+  ["webkit", webkit],
+]) {
+  browserType.launch = async () => _createBrowser(engine);
+}
+
+/** Keeps the pool's logging out of the test output. */
+export function silenceLogs() {
+  for (const method of ["log", "warn", "error"]) {
+    mock.method(console, method, () => {});
+  }
+}
+
+/** A promise with its `resolve` exposed. */
+export function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * A raw task object for queueScreenshotTask that waits for `gate` (or its
+ * signal) and calls `onStart` when it begins running.
+ */
+export function gatedTask(gate, { onStart = () => {}, result = "done" } = {}) {
+  return {
+    taskFn: (browser, { signal }) =>
+      new Promise((resolve, reject) => {
+        onStart(browser, signal);
+        if (signal.aborted) return reject(signal.reason);
+        signal.addEventListener("abort", () => reject(signal.reason), {
+          once: true,
+        });
+        gate.then(() => resolve(result));
+      }),
+    requirements: {},
+    originalUrl: "https://example.com/",
+  };
+}
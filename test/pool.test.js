@@ -0,0 +1,241 @@
+// test/pool.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  launchedBrowsers,
+  silenceLogs,
+  deferred,
+  gatedTask,
+} from "./helpers/fake-browser.js";
+import {
+  getBrowserPool,
+  TaskCancelledError,
+  TaskTimeoutError,
+  TaskRejectedError,
+  PoolOverloadedError,
+  BrowserCrashedError,
+} from "../wirklich.js";
+
+silenceLogs();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function startPool(t, options = {}) {
+  const pool = await getBrowserPool({
+    pool_size_default: 1,
+    healthCheckIntervalMs: 0,
+    idleTimeoutMs: 0,
+    minFreeMemoryMb: 0,
+    ...options,
+  });
+  t.after(() => pool.shutdown());
+  return pool;
+}
+
+function recordingTask(order, name) {
+  return {
+    taskFn: async () => {
+      order.push(name);
+      return name;
+    },
+    requirements: {},
+    originalUrl: `https://example.com/${name}`,
+  };
+}
+
+test("runs queued tasks by priority, first come first served within one", async (t) => {
+  const pool = await startPool(t, { priorityAgingMs: 0 });
+  const gate = deferred();
+  const blocker = pool.queueScreenshotTask(gatedTask(gate.promise));
+  const order = [];
+  const handles = [
+    pool.queueScreenshotTask(recordingTask(order, "low"), 0),
+    pool.queueScreenshotTask(recordingTask(order, "high-1"), 5),
+    pool.queueScreenshotTask(recordingTask(order, "high-2"), 5),
+    pool.queueScreenshotTask(recordingTask(order, "medium"), 1),
+  ];
+  gate.resolve();
+  await Promise.all([blocker, ...handles]);
+  assert.deepEqual(order, ["high-1", "high-2", "medium", "low"]);
+});
+
+test("lets long-waiting tasks overtake newer higher-priority ones", async (t) => {
+  const pool = await startPool(t, { priorityAgingMs: 10 });
+  const gate = deferred();
+  const blocker = pool.queueScreenshotTask(gatedTask(gate.promise));
+  const order = [];
+  const old = pool.queueScreenshotTask(recordingTask(order, "old"), 0);
+  await sleep(60);
+  const newer = pool.queueScreenshotTask(recordingTask(order, "newer"), 1);
+  gate.resolve();
+  await Promise.all([blocker, old, newer]);
+  assert.deepEqual(order, ["old", "newer"]);
+});
+
+test("cancels a queued task without running it", async (t) => {
+  const pool = await startPool(t);
+  const gate = deferred();
+  const blocker = pool.queueScreenshotTask(gatedTask(gate.promise));
+  const order = [];
+  const handle = pool.queueScreenshotTask(recordingTask(order, "queued"));
+
+  assert.equal(handle.cancel("not needed"), true);
+  await assert.rejects(handle, TaskCancelledError);
+  assert.equal(handle.cancel(), false);
+  assert.equal(pool.getStats().queuedTasks, 0);
+
+  gate.resolve();
+  await blocker;
+  assert.deepEqual(order, []);
+});
+
+test("cancels a running task and frees its browser", async (t) => {
+  const pool = await startPool(t);
+  const started = deferred();
+  let taskSignal;
+  const handle = pool.queueScreenshotTask(
+    gatedTask(new Promise(() => {}), {
+      onStart: (browser, signal) => {
+        taskSignal = signal;
+        started.resolve();
+      },
+    })
+  );
+  await started.promise;
+
+  assert.equal(handle.cancel("client went away"), true);
+  await assert.rejects(handle, TaskCancelledError);
+  assert.equal(taskSignal.aborted, true);
+  assert.equal(
+    await pool.queueScreenshotTask(recordingTask([], "next")),
+    "next"
+  );
+});
+
+test("aborts a task that runs past its timeout", async (t) => {
+  const pool = await startPool(t);
+  const handle = pool.queueScreenshotTask(gatedTask(new Promise(() => {})), 0, {
+    timeoutMs: 30,
+  });
+  await assert.rejects(handle, (error) => {
+    assert.ok(error instanceof TaskTimeoutError);
+    assert.equal(error.timeoutMs, 30);
+    return true;
+  });
+});
+
+test("refuses task timeouts setTimeout can't hold", async (t) => {
+  const pool = await startPool(t);
+  for (const timeoutMs of [0, -1, 1.5, NaN, 2 ** 31]) {
+    await assert.rejects(
+      pool.queueScreenshotTask(recordingTask([], "x"), 0, { timeoutMs }),
+      TaskRejectedError
+    );
+  }
+});
+
+test("requeues a task whose browser crashed", async (t) => {
+  const pool = await startPool(t);
+  let runs = 0;
+  const handle = pool.queueScreenshotTask({
+    taskFn: (browser, { signal }) => {
+      runs++;
+      if (runs > 1) return Promise.resolve("second run");
+      setImmediate(() => browser.crash());
+      return new Promise((resolve, reject) =>
+        signal.addEventListener("abort", () => reject(signal.reason))
+      );
+    },
+    requirements: {},
+    originalUrl: "https://example.com/",
+  });
+
+  assert.equal(await handle, "second run");
+  assert.equal(handle.metadata.crashes.length, 1);
+  const { crashes } = pool.getStats();
+  assert.equal(crashes.browsersCrashed, 1);
+  assert.equal(crashes.tasksRequeued, 1);
+});
+
+test("gives up on a task once its crash budget is spent", async (t) => {
+  const pool = await startPool(t);
+  const handle = pool.queueScreenshotTask(
+    {
+      taskFn: (browser, { signal }) => {
+        setImmediate(() => browser.crash());
+        return new Promise((resolve, reject) =>
+          signal.addEventListener("abort", () => reject(signal.reason))
+        );
+      },
+      requirements: {},
+      originalUrl: "https://example.com/",
+    },
+    0,
+    { maxCrashRetries: 1 }
+  );
+
+  await assert.rejects(handle, (error) => {
+    assert.ok(error instanceof BrowserCrashedError);
+    assert.equal(error.crashes.length, 2);
+    return true;
+  });
+  assert.equal(pool.getStats().crashes.tasksFailed, 1);
+});
+
+test("rejects the newest task when the queue is full", async (t) => {
+  const pool = await startPool(t, { maxQueueSize: 1 });
+  const gate = deferred();
+  const blocker = pool.queueScreenshotTask(gatedTask(gate.promise));
+  const queued = pool.queueScreenshotTask(recordingTask([], "queued"));
+  const overflow = pool.queueScreenshotTask(recordingTask([], "overflow"), 9);
+
+  await assert.rejects(overflow, (error) => {
+    assert.ok(error instanceof PoolOverloadedError);
+    assert.equal(error.reason, "queue-full");
+    return true;
+  });
+  gate.resolve();
+  assert.equal(await queued, "queued");
+  await blocker;
+});
+
+test("drops the lowest-priority task for a more important one", async (t) => {
+  const pool = await startPool(t, {
+    maxQueueSize: 1,
+    queueOverflowPolicy: "drop-lowest-priority",
+  });
+  const gate = deferred();
+  const blocker = pool.queueScreenshotTask(gatedTask(gate.promise));
+  const low = pool.queueScreenshotTask(recordingTask([], "low"), 0);
+  const high = pool.queueScreenshotTask(recordingTask([], "high"), 5);
+
+  await assert.rejects(low, (error) => {
+    assert.ok(error instanceof PoolOverloadedError);
+    assert.equal(error.reason, "dropped");
+    return true;
+  });
+  gate.resolve();
+  assert.equal(await high, "high");
+  await blocker;
+  assert.equal(pool.getStats().overload.dropped, 1);
+});
+
+test("replaces a killed browser once, without counting a crash", async (t) => {
+  const pool = await startPool(t);
+  const launchedBefore = launchedBrowsers.length;
+  const victim = launchedBrowsers.find((browser) => browser.connected);
+
+  await pool.killBrowser(victim);
+  await sleep(10);
+
+  assert.equal(launchedBrowsers.length, launchedBefore + 1);
+  assert.equal(pool.getStats().totalBrowsers, 1);
+  assert.equal(pool.getStats().crashes.browsersCrashed, 0);
+});
+
+test("captures a screenshot through createScreenshotTask", async (t) => {
+  const pool = await startPool(t);
+  const task = pool.createScreenshotTask({ url: "https://example.com/" });
+  const image = await pool.queueScreenshotTask(task);
+  assert.equal(image.toString(), "fake-image");
+});
@@ -3,26 +3,137 @@ import { chromium, devices } from "playwright";
 import path from "path";
 import fs from "fs";
 import os from "os";
+import {
+  TaskCancelledError,
+  TaskTimeoutError,
+  PoolOverloadedError,
+  BrowserCrashedError,
+  VisualRegressionError,
+  ElementNotFoundError,
+  ActionValidationError,
+  ActionFailedError,
+  AssertionFailedError,
+  UnsupportedEngineError,
+  UnsupportedContextOptionError,
+  TaskRejectedError,
+} from "./errors.js";
+import {
+  getBrowserType,
+  assertEngineSupports,
+  contextOptionsForEngine,
+} from "./engines.js";
+import { compareImages, measureIgnoreRegions, isPng } from "./compare.js";
+import {
+  validateActions,
+  isLocalUrl,
+  runActions,
+  applyVariables,
+  hasActionType,
+  watchPage,
+} from "./actions.js";
+import {
+  renderPdf,
+  captureImage,
+  captureElements,
+  captureClip,
+  parseClip,
+  parsePadding,
+  validateImageOptions,
+  validatePdfOptions,
+  IMAGE_FORMATS,
+  FILE_EXTENSIONS,
+  CONTENT_TYPES,
+} from "./capture.js";
+import {
+  prepareAdblockProfile,
+  lockAdblockProfileSlot,
+  waitForAdblockReady,
+  wrapPersistentContext,
+  DEFAULT_ADBLOCK_PROBE_URL,
+} from "./adblock.js";
 
 export { devices };
+export {
+  TaskCancelledError,
+  TaskTimeoutError,
+  PoolOverloadedError,
+  BrowserCrashedError,
+  VisualRegressionError,
+  ElementNotFoundError,
+  ActionValidationError,
+  ActionFailedError,
+  AssertionFailedError,
+  UnsupportedEngineError,
+  UnsupportedContextOptionError,
+  TaskRejectedError,
+};
+export { compareImages };
 
 /**
  * Browser Pooling
  */
 
+/**
+ * Tasks ordered by priority (highest first), FIFO within a priority.
+ *
+ * Waiting tasks age: every `agingMs` spent in the queue counts as one more
+ * priority level, so low-priority work eventually runs under steady load.
+ * Since all tasks age at the same rate, a task's rank relative to the others
+ * never changes after it is queued, and each enqueue is a binary-search
+ * insert instead of a re-sort.
+ */
 class PriorityQueue {
-  constructor() {
+  constructor({ agingMs = 0 } = {}) {
     this.items = [];
     this.taskIdCounter = 0;
+    this.agingMs = agingMs;
+  }
+
+  _rankOf(priority, enqueuedAt) {
+    return this.agingMs > 0 ? priority - enqueuedAt / this.agingMs : priority;
   }
 
-  enqueue(task, priority, requirements, resolve, reject) {
+  enqueue(task, priority, requirements, resolve, reject, extras = {}) {
     const id = this.taskIdCounter++;
-    this.items.push({ task, priority, requirements, resolve, reject, id });
-    this.items.sort((a, b) => b.priority - a.priority);
+    const enqueuedAt = Date.now();
+    const item = {
+      ...extras,
+      task,
+      priority,
+      requirements,
+      resolve,
+      reject,
+      id,
+      enqueuedAt,
+      rank: this._rankOf(priority, enqueuedAt),
+    };
+    this._insert(item);
     return id;
   }
 
+  /**
+   * Puts an item taken from the queue back, at the rank it had, so it
+   * doesn't lose its place to tasks queued after it.
+   */
+  requeue(item) {
+    this._insert(item);
+  }
+
+  _insert(item) {
+    // Insert after every item ranked at least as high, which keeps ties FIFO.
+    let low = 0;
+    let high = this.items.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.items[mid].rank >= item.rank) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.items.splice(low, 0, item);
+  }
+
   dequeue() {
     if (this.isEmpty()) {
       return null;
@@ -30,8 +141,19 @@ class PriorityQueue {
     return this.items.shift();
   }
 
+  /**
+   * Removes and returns the first item (in queue order) that `predicate`
+   * accepts, or null.
+   */
+  take(predicate) {
+    const index = this.items.findIndex(predicate);
+    return index === -1 ? null : this.items.splice(index, 1)[0];
+  }
+
   remove(id) {
+    const lengthBefore = this.items.length;
     this.items = this.items.filter((item) => item.id !== id);
+    return this.items.length !== lengthBefore;
   }
 
   isEmpty() {
@@ -43,112 +165,501 @@ class PriorityQueue {
   }
 }
 
+export const QUEUE_OVERFLOW_POLICIES = [
+  "reject-newest",
+  "drop-lowest-priority",
+];
+
+const RECYCLE_REASONS = ["task-limit", "max-age", "failures", "unhealthy"];
+
+// How many recycle events getStats() reports.
+const RECYCLE_EVENT_HISTORY = 50;
+
+// Longer delays overflow setTimeout, which then fires right away.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Whether a task error points at the browser rather than at the page: a
+ * failed step, a missing element or a visual diff says nothing about the
+ * browser's health, a timeout or a crashed page does.
+ */
+function _isBrowserFailure(error) {
+  return !(
+    error instanceof ActionFailedError ||
+    error instanceof ActionValidationError ||
+    error instanceof ElementNotFoundError ||
+    error instanceof VisualRegressionError ||
+    error instanceof UnsupportedContextOptionError
+  );
+}
+
+/**
+ * Validates the `groups` pool option and fills in defaults. Returns the
+ * groups as a list, in the order they were configured.
+ */
+function _normalizeGroups(groups, adblockExtensionPath) {
+  if (!groups || typeof groups !== "object" || Array.isArray(groups)) {
+    throw new Error("groups must map group names to group options.");
+  }
+  return Object.entries(groups).map(([name, group = {}]) => {
+    const {
+      size = 0,
+      launchOptions = { headless: true },
+      tags = [],
+      adblock = false,
+      exclusive = false,
+      engine = "chromium",
+      minSize = size,
+    } = group;
+    getBrowserType(engine);
+    if (adblock) assertEngineSupports(engine, "adblock");
+    if (!Number.isInteger(size) || size < 0) {
+      throw new Error(
+        `Browser group "${name}": size must be a whole number, got ${size}.`
+      );
+    }
+    if (!Number.isInteger(minSize) || minSize < 0 || minSize > size) {
+      throw new Error(
+        `Browser group "${name}": minSize must be a whole number from 0 to size (${size}), got ${minSize}.`
+      );
+    }
+    if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === "string")) {
+      throw new Error(
+        `Browser group "${name}": tags must be a list of strings.`
+      );
+    }
+    const extensionPath = group.adblockExtensionPath || adblockExtensionPath;
+    if (adblock && size > 0 && !extensionPath) {
+      throw new Error(
+        `Browser group "${name}": adblockExtensionPath is required for adblock groups.`
+      );
+    }
+    return {
+      name,
+      size,
+      minSize,
+      launchOptions,
+      tags,
+      adblock: Boolean(adblock),
+      exclusive: Boolean(exclusive),
+      engine,
+      adblockExtensionPath: adblock ? extensionPath : undefined,
+    };
+  });
+}
+
+/**
+ * Whether a browser of `group` may run a task with `requirements`. Tasks
+ * that name a group, tags or an engine only run there. Tasks that name
+ * neither a group nor tags skip `exclusive` groups, and non-Chromium groups
+ * too unless they ask for that engine. Adblock groups only take tasks with
+ * `use_adblock` unless the task names the group.
+ */
+function _groupMatches(group, requirements) {
+  const {
+    use_adblock = false,
+    browser_group,
+    browser_tags = [],
+    engine,
+  } = requirements;
+  const targeted = browser_group !== undefined || browser_tags.length > 0;
+  if (browser_group !== undefined && group.name !== browser_group) return false;
+  if (!browser_tags.every((tag) => group.tags.includes(tag))) return false;
+  if (engine !== undefined && group.engine !== engine) return false;
+  if (!targeted && group.exclusive) return false;
+  if (!targeted && engine === undefined && group.engine !== "chromium") {
+    return false;
+  }
+  if (use_adblock) return group.adblock;
+  return !group.adblock || browser_group === group.name;
+}
+
+function _describeRequirements(requirements) {
+  const {
+    use_adblock = false,
+    browser_group,
+    browser_tags = [],
+    engine,
+  } = requirements;
+  const parts = [`adblock: ${use_adblock}`];
+  if (engine !== undefined) parts.push(`engine: ${engine}`);
+  if (browser_group !== undefined) parts.push(`group: ${browser_group}`);
+  if (browser_tags.length > 0) parts.push(`tags: ${browser_tags.join(", ")}`);
+  return parts.join(", ");
+}
+
+/**
+ * Builds the requirements of a task from its `use_adblock`,
+ * `browser_group`, `browser_tags` and `engine` options. `chromiumOnly`
+ * names a Chromium-only feature the task uses, if any; the task then only
+ * runs on Chromium.
+ */
+function _taskRequirements({
+  use_adblock,
+  browser_group,
+  browser_tags,
+  engine,
+  chromiumOnly,
+}) {
+  if (browser_group !== undefined && typeof browser_group !== "string") {
+    throw new Error("browser_group must be a group name.");
+  }
+  if (
+    !Array.isArray(browser_tags) ||
+    !browser_tags.every((tag) => typeof tag === "string")
+  ) {
+    throw new Error("browser_tags must be a list of strings.");
+  }
+  const requirements = { use_adblock: Boolean(use_adblock) };
+  if (browser_group !== undefined) requirements.browser_group = browser_group;
+  if (browser_tags.length > 0) requirements.browser_tags = [...browser_tags];
+  if (engine !== undefined) {
+    getBrowserType(engine);
+    if (use_adblock) assertEngineSupports(engine, "adblock");
+    if (chromiumOnly) assertEngineSupports(engine, chromiumOnly);
+    requirements.engine = engine;
+  } else if (chromiumOnly) {
+    requirements.engine = "chromium";
+  }
+  return requirements;
+}
+
+function _adaptContextOptions(engine, contextOptions, logPrefix) {
+  const adapted = contextOptionsForEngine(engine, contextOptions);
+  if (adapted.ignored.length > 0) {
+    console.warn(
+      `${logPrefix} ${engine} doesn't support ${adapted.ignored.join(
+        ", "
+      )}; ignoring it.`
+    );
+  }
+  return adapted.contextOptions;
+}
+
+/**
+ * Closes `context` as soon as `signal` aborts, so a cancelled task stops
+ * navigating and releases its browser slot. Returns a function that
+ * detaches the listener once the context is no longer in use.
+ */
+function _closeContextOnAbort(signal, context) {
+  if (!signal) return () => {};
+  const onAbort = () => context.close().catch(() => {});
+  if (signal.aborted) {
+    onAbort();
+    return () => {};
+  }
+  signal.addEventListener("abort", onAbort, { once: true });
+  return () => signal.removeEventListener("abort", onAbort);
+}
+
+/**
+ * Turns a task promise into a handle: still awaitable like before, plus
+ * `id`, `cancel(reason)` and `metadata`. `metadata.crashes` lists the
+ * browser crashes the task was requeued after.
+ */
+function _toTaskHandle(promise, id, cancel, metadata = { crashes: [] }) {
+  promise.id = id;
+  promise.cancel = cancel;
+  promise.metadata = metadata;
+  return promise;
+}
+
 export async function getBrowserPool(options = {}) {
   const {
     pool_size_default = 3,
+    pool_min_size_default = pool_size_default,
     playwrightLaunchOptionsDefault = { headless: true },
     pool_size_adblock = 0,
+    pool_min_size_adblock = pool_size_adblock,
     adblockExtensionPath,
     playwrightLaunchOptionsAdblock = { headless: true },
+    adblockProfileDir = path.join(os.tmpdir(), "wirklich-adblock-profiles"),
+    adblockProfileSnapshot,
+    adblockReadyTimeoutMs = 30000,
+    adblockProbeUrl = DEFAULT_ADBLOCK_PROBE_URL,
     maxPagesPerBrowser = 1,
+    minFreeMemoryMb = 512,
     taskTimeoutMs = 60000,
+    priorityAgingMs = 30000,
+    maxQueueSize = 0,
+    queueOverflowPolicy = "reject-newest",
+    maxQueueWaitMs = 0,
+    recycleAfterTasks = 0,
+    maxBrowserAgeMs = 0,
+    maxConsecutiveFailures = 3,
+    healthCheckIntervalMs = 30000,
+    healthCheckTimeoutMs = 10000,
+    idleTimeoutMs = 60000,
+    maxCrashRetries = 2,
   } = options;
 
+  const groups = _normalizeGroups(
+    options.groups || {
+      default: {
+        size: pool_size_default,
+        minSize: pool_min_size_default,
+        launchOptions: playwrightLaunchOptionsDefault,
+      },
+      adblock: {
+        size: pool_size_adblock,
+        minSize: pool_min_size_adblock,
+        launchOptions: playwrightLaunchOptionsAdblock,
+        adblock: true,
+      },
+    },
+    adblockExtensionPath
+  );
+  const groupsByName = new Map(groups.map((group) => [group.name, group]));
+
   if (!chromium) {
     throw new Error(
       "Chromium is not available from Playwright. Make sure it's installed (npx playwright install chromium)."
     );
   }
-  if (pool_size_adblock > 0 && !adblockExtensionPath) {
+  if (!QUEUE_OVERFLOW_POLICIES.includes(queueOverflowPolicy)) {
+    throw new Error(
+      `queueOverflowPolicy must be one of: ${QUEUE_OVERFLOW_POLICIES.join(
+        ", "
+      )}. Got "${queueOverflowPolicy}".`
+    );
+  }
+  if (!Number.isInteger(maxPagesPerBrowser) || maxPagesPerBrowser < 1) {
     throw new Error(
-      "adblockExtensionPath is required if pool_size_adblock > 0"
+      `maxPagesPerBrowser must be a whole number of at least 1, got ${maxPagesPerBrowser}.`
     );
   }
+  for (const [name, value] of Object.entries({
+    recycleAfterTasks,
+    maxConsecutiveFailures,
+    maxCrashRetries,
+  })) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(
+        `${name} must be a whole number (0 to disable), got ${value}.`
+      );
+    }
+  }
 
   const browsers = [];
-  const taskQueue = new PriorityQueue();
+  const taskQueue = new PriorityQueue({ agingMs: priorityAgingMs });
+  const pendingLaunches = new Map(groups.map((group) => [group.name, 0]));
+  const groupStats = new Map(
+    groups.map((group) => [
+      group.name,
+      { tasksCompleted: 0, tasksFailed: 0, scaledUp: 0, scaledDown: 0 },
+    ])
+  );
+  const overloadStats = { rejected: 0, dropped: 0, queueTimeouts: 0 };
+  const recycleStats = Object.fromEntries(
+    RECYCLE_REASONS.map((reason) => [reason, 0])
+  );
+  const recycleEvents = [];
+  const crashStats = { browsersCrashed: 0, tasksRequeued: 0, tasksFailed: 0 };
+  // Slot => release function of its lock, per group.
+  const adblockProfileSlots = new Map(
+    groups.map((group) => [group.name, new Map()])
+  );
   let browserIdCounter = 0;
   let shuttingDown = false;
 
-  async function _launchBrowser(type = "default") {
-    let launchOptions;
-    let effectiveAdblockPath;
+  // Slots in use by pools of other processes are locked and skipped.
+  function _claimAdblockProfileSlot(group) {
+    const slots = adblockProfileSlots.get(group.name);
+    for (let slot = 0; ; slot++) {
+      if (slots.has(slot)) continue;
+      const release = lockAdblockProfileSlot(_profileRootOf(group), slot);
+      if (!release) continue;
+      slots.set(slot, release);
+      return slot;
+    }
+  }
 
-    if (type === "adblock") {
-      if (!adblockExtensionPath) {
-        console.warn(
-          "[Pool] Adblock browser requested but no adblockExtensionPath configured. Launching default browser."
-        );
-        type = "default";
-        launchOptions = { ...playwrightLaunchOptionsDefault };
-      } else {
-        effectiveAdblockPath = path.resolve(adblockExtensionPath);
-        launchOptions = {
-          ...playwrightLaunchOptionsAdblock,
-          args: [
-            ...(playwrightLaunchOptionsAdblock.args || []),
-            `--disable-extensions-except=${effectiveAdblockPath}`,
-            `--load-extension=${effectiveAdblockPath}`,
-          ],
-        };
-        console.log(
-          `[Pool] Launching AD BLOCK browser with extension: ${effectiveAdblockPath}`
-        );
+  function _releaseAdblockProfileSlot(groupName, slot) {
+    const slots = adblockProfileSlots.get(groupName);
+    const release = slots.get(slot);
+    if (!release) return;
+    slots.delete(slot);
+    try {
+      release();
+    } catch (error) {
+      console.warn(
+        `[Pool] Failed to release the lock on adblock profile ${slot}:`,
+        error.message
+      );
+    }
+  }
+
+  // The "adblock" group keeps the profile dir it always used; other adblock
+  // groups (e.g. with another extension) get their own subdirectory.
+  function _profileRootOf(group) {
+    return group.name === "adblock"
+      ? adblockProfileDir
+      : path.join(adblockProfileDir, group.name);
+  }
+
+  /**
+   * Launches a persistent context on the profile of `slot` and only returns
+   * once the extension is verified to block requests.
+   */
+  async function _launchAdblockBrowser(group, launchOptions, slot) {
+    const profileRoot = _profileRootOf(group);
+    const profileDir = prepareAdblockProfile(
+      profileRoot,
+      slot,
+      adblockProfileSnapshot
+    );
+    const persistentContext = await chromium.launchPersistentContext(
+      profileDir,
+      {
+        // Extensions don't load in the headless shell, only in new headless.
+        channel: "chromium",
+        ...launchOptions,
+        // Video can only be enabled at launch for persistent contexts; pages
+        // of tasks that didn't ask for a video have theirs deleted on close,
+        // screencasts delete theirs once they have read it.
+        recordVideo: {
+          dir: path.join(profileRoot, `videos-${slot}`),
+          ...launchOptions.recordVideo,
+        },
       }
+    );
+
+    console.log(
+      `[Pool] Waiting for adblock profile ${profileDir} to start blocking...`
+    );
+    const { ready, elapsedMs } = await waitForAdblockReady(persistentContext, {
+      timeoutMs: adblockReadyTimeoutMs,
+      probeUrl: adblockProbeUrl,
+    });
+    if (ready) {
+      console.log(
+        `[Pool] Adblock profile ${profileDir} is blocking (ready after ${elapsedMs}ms).`
+      );
     } else {
-      launchOptions = { ...playwrightLaunchOptionsDefault };
-      console.log("[Pool] Launching DEFAULT browser.");
+      await persistentContext.close().catch(() => {});
+      throw new Error(
+        `[Pool] Adblock profile ${profileDir} did not block ${adblockProbeUrl} within ${
+          adblockReadyTimeoutMs / 1000
+        }s. Check that the extension has filter lists enabled.`
+      );
     }
+    return wrapPersistentContext(persistentContext, {
+      videoSize: launchOptions.recordVideo && launchOptions.recordVideo.size,
+    });
+  }
 
+  async function _launchBrowser(groupName) {
+    const group = groupsByName.get(groupName);
+    let launchOptions = { ...group.launchOptions };
+    let effectiveAdblockPath;
+
+    if (group.adblock) {
+      effectiveAdblockPath = path.resolve(group.adblockExtensionPath);
+      launchOptions = {
+        ...launchOptions,
+        args: [
+          ...(launchOptions.args || []),
+          `--disable-extensions-except=${effectiveAdblockPath}`,
+          `--load-extension=${effectiveAdblockPath}`,
+        ],
+      };
+      console.log(
+        `[Pool] Launching AD BLOCK browser (group: ${group.name}) with extension: ${effectiveAdblockPath}`
+      );
+    } else {
+      console.log(
+        `[Pool] Launching ${group.engine} browser (group: ${group.name}).`
+      );
+    }
+
+    let profileSlot = null;
     try {
-      const browser = await chromium.launch(launchOptions);
+      let browser;
+      if (group.adblock) {
+        profileSlot = _claimAdblockProfileSlot(group);
+        browser = await _launchAdblockBrowser(
+          group,
+          launchOptions,
+          profileSlot
+        );
+      } else {
+        browser = await getBrowserType(group.engine).launch(launchOptions);
+      }
       const browserId = browserIdCounter++;
-      console.log(`[Pool] Launched browser ${browserId} (type: ${type})`);
+      console.log(
+        `[Pool] Launched browser ${browserId} (group: ${group.name})`
+      );
       const browserState = {
         browser,
-        busy: false,
         id: browserId,
         pagesOpen: 0,
-        type,
+        group: group.name,
+        engine: group.engine,
+        adblock: group.adblock,
+        profileSlot,
+        launchedAt: Date.now(),
+        tasksRun: 0,
+        consecutiveFailures: 0,
+        // Set while a liveness probe runs, and once the browser is being
+        // recycled; the browser takes no new tasks then.
+        probing: false,
+        retiring: null,
+        idleTimer: null,
+        // AbortControllers of the tasks running on the browser; see _runTask.
+        runs: new Set(),
       };
 
       browser.on("disconnected", () => {
         if (shuttingDown) {
           console.log(
-            `[Pool] Browser ${browserState.id} (type: ${browserState.type}) disconnected during shutdown.`
+            `[Pool] Browser ${browserState.id} (group: ${browserState.group}) disconnected during shutdown.`
+          );
+        } else if (browserState.retiring) {
+          console.log(
+            `[Pool] Retired browser ${browserState.id} (group: ${browserState.group}) closed.`
           );
         } else {
           console.warn(
-            `[Pool] Browser ${browserState.id} (type: ${browserState.type}) disconnected unexpectedly.`
+            `[Pool] Browser ${browserState.id} (group: ${browserState.group}) disconnected unexpectedly.`
           );
+          crashStats.browsersCrashed++;
+          for (const runController of browserState.runs) {
+            runController.abort(
+              new Error(
+                `[Pool] Browser ${browserState.id} disconnected while the task was running.`
+              )
+            );
+          }
         }
 
         _removeBrowserFromPool(browserState);
+        if (browserState.profileSlot !== null) {
+          _releaseAdblockProfileSlot(
+            browserState.group,
+            browserState.profileSlot
+          );
+        }
         if (!shuttingDown) {
-          const currentOfTypeCount = browsers.filter(
-            (b) => b.type === browserState.type
-          ).length;
-          const maxOfType =
-            browserState.type === "adblock"
-              ? pool_size_adblock
-              : pool_size_default;
-          if (currentOfTypeCount < maxOfType) {
-            _launchBrowser(browserState.type).catch((err) =>
-              console.error(
-                `[Pool] Error replenishing ${browserState.type} browser:`,
-                err
-              )
-            );
+          // killBrowser() decides itself whether to replace a killed browser.
+          if (browserState.retiring !== "killed") {
+            _replenish(browserState.group);
           }
           _processQueue();
         }
       });
 
       browsers.push(browserState);
+      _startIdleTimer(browserState);
       return browserState;
     } catch (error) {
-      console.error(`[Pool] Failed to launch a ${type} browser:`, error);
-      if (type === "adblock" && effectiveAdblockPath) {
+      if (profileSlot !== null) {
+        _releaseAdblockProfileSlot(group.name, profileSlot);
+      }
+      console.error(
+        `[Pool] Failed to launch a browser (group: ${group.name}):`,
+        error
+      );
+      if (effectiveAdblockPath) {
         console.error(
           `[Pool] Check adblock extension path and format: ${effectiveAdblockPath}. It should be an unpacked extension directory.`
         );
@@ -157,12 +668,178 @@ export async function getBrowserPool(options = {}) {
     }
   }
 
+  // Browsers of `groupName` that still take tasks, i.e. aren't recycled.
+  function _activeBrowsersOf(groupName) {
+    return browsers.filter((b) => b.group === groupName && !b.retiring);
+  }
+
+  /**
+   * Launches a browser for `groupName` if the group (counting launches in
+   * progress) is below its `minSize`. Browsers above it are only launched
+   * for waiting tasks, by _launchOnDemand.
+   */
+  function _replenish(groupName) {
+    const group = groupsByName.get(groupName);
+    if (
+      shuttingDown ||
+      _activeBrowsersOf(groupName).length + pendingLaunches.get(groupName) >=
+        group.minSize
+    ) {
+      return;
+    }
+    pendingLaunches.set(groupName, pendingLaunches.get(groupName) + 1);
+    _launchBrowser(groupName)
+      .catch((err) =>
+        console.error(`[Pool] Error replenishing ${groupName} browser:`, err)
+      )
+      .finally(() => {
+        pendingLaunches.set(groupName, pendingLaunches.get(groupName) - 1);
+        _processQueue();
+      });
+  }
+
+  /**
+   * Takes `browserState` out of rotation and starts its replacement right
+   * away if the group would drop below `minSize`. The browser itself is
+   * closed once its running tasks are done; queued tasks wait for the
+   * replacement or another browser.
+   */
+  function _recycleBrowser(browserState, reason) {
+    if (browserState.retiring || shuttingDown) return;
+    browserState.retiring = reason;
+    recycleStats[reason]++;
+    const ageMs = Date.now() - browserState.launchedAt;
+    recycleEvents.push({
+      browserId: browserState.id,
+      group: browserState.group,
+      reason,
+      tasksRun: browserState.tasksRun,
+      ageMs,
+      at: new Date().toISOString(),
+    });
+    if (recycleEvents.length > RECYCLE_EVENT_HISTORY) recycleEvents.shift();
+    console.log(
+      `[Pool] Recycling browser ${browserState.id} (group: ${
+        browserState.group
+      }, reason: ${reason}) after ${
+        browserState.tasksRun
+      } task(s) and ${Math.round(ageMs / 1000)}s.`
+    );
+    _replenish(browserState.group);
+    _closeIfDrained(browserState);
+  }
+
+  /**
+   * Closes `browserState` once it has been idle for `idleTimeoutMs`, as long
+   * as its group keeps at least `minSize` browsers.
+   */
+  function _startIdleTimer(browserState) {
+    const group = groupsByName.get(browserState.group);
+    if (idleTimeoutMs <= 0 || group.minSize === group.size) return;
+    clearTimeout(browserState.idleTimer);
+    browserState.idleTimer = setTimeout(() => {
+      browserState.idleTimer = null;
+      if (browserState.probing) {
+        _startIdleTimer(browserState);
+        return;
+      }
+      if (
+        shuttingDown ||
+        browserState.retiring ||
+        browserState.pagesOpen > 0 ||
+        _activeBrowsersOf(group.name).length <= group.minSize
+      ) {
+        return;
+      }
+      browserState.retiring = "idle";
+      groupStats.get(group.name).scaledDown++;
+      console.log(
+        `[Pool] Closing browser ${browserState.id} (group: ${
+          group.name
+        }) after ${idleTimeoutMs / 1000}s idle. ${
+          _activeBrowsersOf(group.name).length
+        } ${group.name} browser(s) left.`
+      );
+      _removeBrowserFromPool(browserState);
+    }, idleTimeoutMs);
+    browserState.idleTimer.unref();
+  }
+
+  function _closeIfDrained(browserState) {
+    if (browserState.retiring && browserState.pagesOpen === 0) {
+      _removeBrowserFromPool(browserState);
+    }
+  }
+
+  /**
+   * Opens a page on an idle browser and runs a trivial script in it. A
+   * browser that can't do that within `healthCheckTimeoutMs` is recycled.
+   */
+  async function _probeBrowser(browserState) {
+    browserState.probing = true;
+    let context;
+    let timeoutId;
+    try {
+      await Promise.race([
+        (async () => {
+          context = await browserState.browser.newContext();
+          const page = await context.newPage();
+          await page.evaluate("1 + 1");
+        })(),
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(
+            () =>
+              reject(
+                new Error(`no response within ${healthCheckTimeoutMs / 1000}s`)
+              ),
+            healthCheckTimeoutMs
+          );
+        }),
+      ]);
+    } catch (error) {
+      console.warn(
+        `[Pool] Browser ${browserState.id} (group: ${
+          browserState.group
+        }) failed its liveness probe: ${error.message.split("\n")[0]}`
+      );
+      _recycleBrowser(browserState, "unhealthy");
+    } finally {
+      clearTimeout(timeoutId);
+      browserState.probing = false;
+      if (context) context.close().catch(() => {});
+      _closeIfDrained(browserState);
+      _processQueue();
+    }
+  }
+
+  function _checkBrowserHealth() {
+    if (shuttingDown) return;
+    for (const browserState of [...browsers]) {
+      if (browserState.retiring || browserState.probing) continue;
+      if (
+        maxBrowserAgeMs > 0 &&
+        Date.now() - browserState.launchedAt >= maxBrowserAgeMs
+      ) {
+        _recycleBrowser(browserState, "max-age");
+      } else if (browserState.pagesOpen === 0) {
+        _probeBrowser(browserState);
+      }
+    }
+  }
+
+  const healthCheckTimer =
+    healthCheckIntervalMs > 0
+      ? setInterval(_checkBrowserHealth, healthCheckIntervalMs)
+      : null;
+  if (healthCheckTimer) healthCheckTimer.unref();
+
   function _removeBrowserFromPool(browserState) {
+    clearTimeout(browserState.idleTimer);
     const index = browsers.findIndex((b) => b.id === browserState.id);
     if (index !== -1) {
       browsers.splice(index, 1);
       console.log(
-        `[Pool] Removed browser ${browserState.id} (type: ${browserState.type}) from pool.`
+        `[Pool] Removed browser ${browserState.id} (group: ${browserState.group}) from pool.`
       );
     }
     if (browserState.browser.isConnected()) {
@@ -177,122 +854,322 @@ export async function getBrowserPool(options = {}) {
     }
   }
 
+  let memoryThrottled = false;
+
+  /**
+   * Whether free system memory is below `minFreeMemoryMb`. While it is,
+   * browsers don't take on concurrent tasks (see _pageLimitOf).
+   */
+  function _checkMemory() {
+    const freeMb = os.freemem() / (1024 * 1024);
+    const low = maxPagesPerBrowser > 1 && freeMb < minFreeMemoryMb;
+    if (low !== memoryThrottled) {
+      memoryThrottled = low;
+      if (low) {
+        console.warn(
+          `[Pool] Free memory (${Math.round(
+            freeMb
+          )} MB) is below ${minFreeMemoryMb} MB. Running one task per browser until it recovers.`
+        );
+      } else {
+        console.log(
+          `[Pool] Free memory recovered. Up to ${maxPagesPerBrowser} tasks per browser again.`
+        );
+      }
+    }
+    return low;
+  }
+
+  /**
+   * How many tasks `browserState` may run at once. Tasks on an adblock
+   * browser share its persistent context, so those run one at a time.
+   */
+  function _pageLimitOf(browserState) {
+    if (browserState.adblock || memoryThrottled) return 1;
+    return maxPagesPerBrowser;
+  }
+
   function _findSuitableBrowser(taskRequirements) {
-    const requiredType = taskRequirements.use_adblock ? "adblock" : "default";
-    return browsers.find(
-      (b) =>
-        !b.busy &&
-        b.pagesOpen < maxPagesPerBrowser &&
-        b.type === requiredType &&
-        b.browser.isConnected()
+    // The least loaded browser first, so concurrent tasks spread out.
+    return browsers
+      .filter(
+        (b) =>
+          !b.retiring &&
+          !b.probing &&
+          b.pagesOpen < _pageLimitOf(b) &&
+          _groupMatches(groupsByName.get(b.group), taskRequirements) &&
+          b.browser.isConnected()
+      )
+      .sort((a, b) => a.pagesOpen - b.pagesOpen)[0];
+  }
+
+  function _matchingGroups(requirements) {
+    return groups.filter(
+      (group) => group.size > 0 && _groupMatches(group, requirements)
     );
   }
 
-  async function _processQueue() {
+  function _requirementKey(requirements) {
+    const {
+      use_adblock = false,
+      browser_group,
+      browser_tags = [],
+      engine,
+    } = requirements;
+    return JSON.stringify([
+      Boolean(use_adblock),
+      browser_group,
+      [...browser_tags].sort(),
+      engine,
+    ]);
+  }
+
+  function _launchOnDemand(requirements, taskId) {
+    const group = _matchingGroups(requirements).find(
+      (candidate) =>
+        _activeBrowsersOf(candidate.name).length +
+          pendingLaunches.get(candidate.name) <
+        candidate.size
+    );
+    if (!group) return false;
+
+    groupStats.get(group.name).scaledUp++;
+    console.log(
+      `[Pool] No suitable browser for task ${taskId} (${_describeRequirements(
+        requirements
+      )}). Attempting to launch a new ${group.name} browser.`
+    );
+    pendingLaunches.set(group.name, pendingLaunches.get(group.name) + 1);
+    _launchBrowser(group.name)
+      .catch((err) =>
+        console.error(
+          `[Pool] Failed to launch additional ${group.name} browser on demand:`,
+          err
+        )
+      )
+      .finally(() => {
+        pendingLaunches.set(group.name, pendingLaunches.get(group.name) - 1);
+        _processQueue();
+      });
+    return true;
+  }
+
+  /**
+   * Hands every queued task that has a matching idle browser to it, in queue
+   * order. A task that can't run yet doesn't hold up tasks behind it that
+   * need a different kind of browser.
+   */
+  function _processQueue() {
     if (shuttingDown || taskQueue.isEmpty()) {
       return;
     }
 
-    const nextTaskItem = taskQueue.items[0];
-    if (!nextTaskItem) return;
-
-    const availableBrowser = _findSuitableBrowser(nextTaskItem.requirements);
+    _checkMemory();
+    // Waiting tasks per set of requirements. Once a task has to wait, the
+    // tasks behind it with the same requirements wait too, so their order
+    // is kept.
+    const waiting = new Map();
+    for (const item of [...taskQueue.items]) {
+      const key = _requirementKey(item.requirements);
+      if (!waiting.has(key)) {
+        const availableBrowser = _findSuitableBrowser(item.requirements);
+        if (availableBrowser) {
+          taskQueue.take((queued) => queued.id === item.id);
+          _runTask(item, availableBrowser);
+          continue;
+        }
+      }
+      const waitingCount = (waiting.get(key) || 0) + 1;
+      waiting.set(key, waitingCount);
+      const launching = _matchingGroups(item.requirements).reduce(
+        (sum, group) => sum + pendingLaunches.get(group.name),
+        0
+      );
+      if (
+        waitingCount > launching &&
+        !_launchOnDemand(item.requirements, item.id) &&
+        waitingCount === 1
+      ) {
+        console.log(
+          `[Pool] No suitable browser for task ${
+            item.id
+          } (${_describeRequirements(
+            item.requirements
+          )}). All matching browsers are launched and busy. Task remains queued. Queue size: ${
+            taskQueue.length
+          }`
+        );
+      }
+    }
+  }
 
-    if (availableBrowser) {
-      const queuedItem = taskQueue.dequeue();
-      if (!queuedItem) return;
+  function _runTask(queuedItem, availableBrowser) {
+    clearTimeout(queuedItem.queueTimer);
+    availableBrowser.pagesOpen++;
+    clearTimeout(availableBrowser.idleTimer);
 
-      availableBrowser.busy = true;
-      availableBrowser.pagesOpen++;
+    console.log(
+      `[Pool] Assigning task ${queuedItem.id} (priority ${
+        queuedItem.priority
+      }, ${_describeRequirements(queuedItem.requirements)}, waited ${
+        Date.now() - queuedItem.enqueuedAt
+      }ms) to browser ${availableBrowser.id} (group: ${availableBrowser.group})`
+    );
 
-      console.log(
-        `[Pool] Assigning task ${queuedItem.id} (priority ${queuedItem.priority}, adblock: ${queuedItem.requirements.use_adblock}) to browser ${availableBrowser.id} (type: ${availableBrowser.type})`
+    const { signal } = queuedItem.abortController;
+    // The task function gets a signal of its own for this run. Besides
+    // following cancellation and the timeout, it aborts when the browser
+    // crashes, which stops the task without using up its own retries.
+    const runController = new AbortController();
+    const onAbort = () => {
+      runController.abort(signal.reason);
+      queuedItem.reject(signal.reason);
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    availableBrowser.runs.add(runController);
+
+    // The timeout aborts the task (closing its context) instead of just
+    // racing it, so the browser is only marked free once the task has
+    // actually stopped.
+    const effectiveTimeoutMs = queuedItem.timeoutMs || taskTimeoutMs;
+    const timeoutId = setTimeout(() => {
+      if (signal.aborted) return;
+      console.warn(
+        `[Pool] Task ${queuedItem.id} exceeded its ${
+          effectiveTimeoutMs / 1000
+        }s timeout on browser ${availableBrowser.id}. Aborting it.`
       );
-
-      let taskCompleted = false;
-      const taskExecutionPromise = queuedItem.task(availableBrowser.browser);
-
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => {
-          if (!taskCompleted) {
-            reject(
-              new Error(
-                `[Pool] Task ${queuedItem.id} timed out after ${
-                  taskTimeoutMs / 1000
-                }s`
-              )
-            );
-          }
-        }, taskTimeoutMs)
+      queuedItem.abortController.abort(
+        new TaskTimeoutError(queuedItem.id, effectiveTimeoutMs)
       );
-
-      Promise.race([taskExecutionPromise, timeoutPromise])
-        .then((result) => {
-          taskCompleted = true;
-          queuedItem.resolve(result);
-        })
-        .catch((error) => {
-          taskCompleted = true;
-          console.error(
-            `[Pool] Task ${queuedItem.id} failed on browser ${availableBrowser.id} (type: ${availableBrowser.type}):`,
-            error.message.split("\n")[0]
-          );
-          queuedItem.reject(error);
-        })
-        .finally(() => {
-          availableBrowser.pagesOpen--;
-          availableBrowser.busy = false;
+    }, effectiveTimeoutMs);
+
+    queuedItem
+      .task(availableBrowser.browser, {
+        signal: runController.signal,
+        taskId: queuedItem.id,
+        engine: availableBrowser.engine,
+      })
+      .then((result) => {
+        groupStats.get(availableBrowser.group).tasksCompleted++;
+        availableBrowser.consecutiveFailures = 0;
+        queuedItem.resolve(result);
+      })
+      .catch((error) => {
+        if (signal.aborted) {
           console.log(
-            `[Pool] Browser ${availableBrowser.id} (type: ${availableBrowser.type}) is now free. Pages open: ${availableBrowser.pagesOpen}`
+            `[Pool] Task ${queuedItem.id} on browser ${availableBrowser.id} (group: ${availableBrowser.group}) stopped: ${signal.reason.name}.`
           );
-          _processQueue();
-        });
-    } else {
-      const requiredType = nextTaskItem.requirements.use_adblock
-        ? "adblock"
-        : "default";
-      const totalOfType = browsers.filter(
-        (b) => b.type === requiredType
-      ).length;
-      const maxOfType =
-        requiredType === "adblock" ? pool_size_adblock : pool_size_default;
-
-      if (totalOfType < maxOfType) {
-        console.log(
-          `[Pool] No suitable browser for task ${nextTaskItem.id} (needs ${requiredType}). Attempting to launch a new ${requiredType} browser.`
+          if (signal.reason instanceof TaskTimeoutError) {
+            availableBrowser.consecutiveFailures++;
+          }
+          return;
+        }
+        if (
+          !shuttingDown &&
+          (runController.signal.aborted ||
+            !availableBrowser.browser.isConnected())
+        ) {
+          _requeueAfterCrash(queuedItem, availableBrowser, error);
+          return;
+        }
+        if (_isBrowserFailure(error)) availableBrowser.consecutiveFailures++;
+        console.error(
+          `[Pool] Task ${queuedItem.id} failed on browser ${availableBrowser.id} (group: ${availableBrowser.group}):`,
+          error.message.split("\n")[0]
         );
-        _launchBrowser(requiredType)
-          .then(() => _processQueue())
-          .catch((err) =>
-            console.error(
-              `[Pool] Failed to launch additional ${requiredType} browser on demand:`,
-              err
-            )
-          );
-      } else {
+        groupStats.get(availableBrowser.group).tasksFailed++;
+        queuedItem.reject(error);
+      })
+      .finally(() => {
+        clearTimeout(timeoutId);
+        signal.removeEventListener("abort", onAbort);
+        availableBrowser.runs.delete(runController);
+        availableBrowser.pagesOpen--;
+        availableBrowser.tasksRun++;
         console.log(
-          `[Pool] No suitable browser for task ${nextTaskItem.id} (needs ${requiredType}). Max ${requiredType} browsers (${maxOfType}) already launched or busy. Task remains queued. Queue size: ${taskQueue.length}`
+          `[Pool] Task ${queuedItem.id} released browser ${availableBrowser.id} (group: ${availableBrowser.group}). Pages open: ${availableBrowser.pagesOpen}`
         );
-      }
+        if (!browsers.includes(availableBrowser)) {
+          // The browser crashed or was killed; nothing left to recycle.
+        } else if (
+          maxConsecutiveFailures > 0 &&
+          availableBrowser.consecutiveFailures >= maxConsecutiveFailures
+        ) {
+          _recycleBrowser(availableBrowser, "failures");
+        } else if (
+          recycleAfterTasks > 0 &&
+          availableBrowser.tasksRun >= recycleAfterTasks
+        ) {
+          _recycleBrowser(availableBrowser, "task-limit");
+        } else if (
+          maxBrowserAgeMs > 0 &&
+          Date.now() - availableBrowser.launchedAt >= maxBrowserAgeMs
+        ) {
+          _recycleBrowser(availableBrowser, "max-age");
+        }
+        _closeIfDrained(availableBrowser);
+        if (availableBrowser.pagesOpen === 0 && !availableBrowser.retiring) {
+          _startIdleTimer(availableBrowser);
+        }
+        _processQueue();
+      });
+  }
+
+  /**
+   * Called when `queuedItem` was running on `browserState` as it crashed.
+   * Puts the task back in the queue for another browser until it has been
+   * through more crashes than `maxCrashRetries`, then rejects it with a
+   * BrowserCrashedError.
+   */
+  function _requeueAfterCrash(queuedItem, browserState, error) {
+    const { crashes } = queuedItem.metadata;
+    crashes.push({
+      browserId: browserState.id,
+      group: browserState.group,
+      at: new Date().toISOString(),
+      error: error.message.split("\n")[0],
+    });
+    if (crashes.length <= queuedItem.maxCrashRetries) {
+      crashStats.tasksRequeued++;
+      console.warn(
+        `[Pool] Browser ${browserState.id} (group: ${browserState.group}) crashed while running task ${queuedItem.id}. Requeueing it (crash retry ${crashes.length}/${queuedItem.maxCrashRetries}).`
+      );
+      taskQueue.requeue(queuedItem);
+      _armQueueDeadline(queuedItem);
+      return;
     }
+    crashStats.tasksFailed++;
+    groupStats.get(browserState.group).tasksFailed++;
+    console.error(
+      `[Pool] Task ${queuedItem.id} lost its browser ${crashes.length} time(s). Giving up.`
+    );
+    queuedItem.reject(
+      new BrowserCrashedError(
+        queuedItem.id,
+        crashes.map((crash) => ({ ...crash }))
+      )
+    );
   }
 
   const browserLaunchPromises = [];
-  for (let i = 0; i < pool_size_default; i++) {
-    browserLaunchPromises.push(_launchBrowser("default"));
-  }
-  if (pool_size_adblock > 0 && adblockExtensionPath) {
-    for (let i = 0; i < pool_size_adblock; i++) {
-      browserLaunchPromises.push(_launchBrowser("adblock"));
+  for (const group of groups) {
+    for (let i = 0; i < group.minSize; i++) {
+      browserLaunchPromises.push(_launchBrowser(group.name));
     }
   }
 
   try {
     await Promise.all(browserLaunchPromises);
     console.log(
-      `[Pool] Initialized with ${browsers.length} browser(s). Default: ${
-        browsers.filter((b) => b.type === "default").length
-      }, Adblock: ${browsers.filter((b) => b.type === "adblock").length}.`
+      `[Pool] Initialized with ${browsers.length} browser(s). ${groups
+        .map(
+          (group) =>
+            `${group.name}: ${
+              browsers.filter((b) => b.group === group.name).length
+            }`
+        )
+        .join(", ")}.`
     );
   } catch (error) {
     console.error(
@@ -302,46 +1179,226 @@ export async function getBrowserPool(options = {}) {
     throw new Error(`[Pool] Initialization failed: ${error.message}`);
   }
 
-  function queueTaskWithRequirements(taskFunction, requirements, priority = 0) {
+  /**
+   * Evicts `item` with a "queue-timeout" PoolOverloadedError if it is still
+   * queued after its `queueTimeoutMs`. The deadline covers each wait for a
+   * browser separately: it is cleared when the task starts, and a task
+   * requeued after a crash gets the full `queueTimeoutMs` again.
+   */
+  function _armQueueDeadline(item) {
+    clearTimeout(item.queueTimer);
+    if (!(item.queueTimeoutMs > 0)) return;
+    item.queueTimer = setTimeout(() => {
+      if (!taskQueue.items.includes(item)) return;
+      overloadStats.queueTimeouts++;
+      _evictQueuedItem(
+        item,
+        new PoolOverloadedError(item.id, "queue-timeout", item.queueTimeoutMs)
+      );
+    }, item.queueTimeoutMs);
+  }
+
+  function _evictQueuedItem(item, error) {
+    taskQueue.remove(item.id);
+    console.warn(`${error.message} Queue size: ${taskQueue.length}`);
+    item.abortController.abort(error);
+    item.reject(error);
+  }
+
+  /**
+   * Called right after a task was queued (and the queue processed). If the
+   * queue is now over `maxQueueSize`, refuses the new task, or with
+   * "drop-lowest-priority" the lowest-ranked queued task (which may be the
+   * new one).
+   */
+  function _enforceQueueLimit(newTaskId) {
+    if (maxQueueSize <= 0 || taskQueue.length <= maxQueueSize) return;
+    const newItem = taskQueue.items.find((item) => item.id === newTaskId);
+    const lowestItem = taskQueue.items[taskQueue.length - 1];
+    if (
+      queueOverflowPolicy === "drop-lowest-priority" &&
+      lowestItem !== newItem
+    ) {
+      overloadStats.dropped++;
+      _evictQueuedItem(
+        lowestItem,
+        new PoolOverloadedError(lowestItem.id, "dropped", maxQueueSize)
+      );
+    } else if (newItem) {
+      overloadStats.rejected++;
+      _evictQueuedItem(
+        newItem,
+        new PoolOverloadedError(newTaskId, "queue-full", maxQueueSize)
+      );
+    }
+  }
+
+  function _rejectedTaskHandle(error) {
+    return _toTaskHandle(Promise.reject(error), null, () => false);
+  }
+
+  /**
+   * Queues `taskFunction` and returns a task handle (see _toTaskHandle).
+   *
+   * Cancelling a queued task removes it from the queue; cancelling a running
+   * task aborts the `signal` handed to the task function, which closes its
+   * context. Either way the handle rejects with a TaskCancelledError.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the task when aborted.
+   * @param {number} [options.timeoutMs] - Overrides the pool's taskTimeoutMs for this task.
+   * @param {number} [options.queueTimeoutMs] - Overrides the pool's maxQueueWaitMs for this task.
+   * @param {number} [options.maxCrashRetries] - Overrides the pool's maxCrashRetries for this task.
+   *
+   * With `maxQueueSize` set, a task that would overflow the queue is refused
+   * according to `queueOverflowPolicy`, and a task still queued after its
+   * queue deadline is removed. Both reject with a PoolOverloadedError.
+   */
+  function queueTaskWithRequirements(
+    taskFunction,
+    requirements,
+    priority = 0,
+    options = {}
+  ) {
+    const {
+      signal: externalSignal,
+      timeoutMs,
+      queueTimeoutMs = maxQueueWaitMs,
+      maxCrashRetries: crashRetries = maxCrashRetries,
+    } = options;
+
     if (shuttingDown) {
-      return Promise.reject(
+      return _rejectedTaskHandle(
         new Error("Browser pool is shutting down. No new tasks accepted.")
       );
     }
     if (typeof taskFunction !== "function") {
-      return Promise.reject(new Error("Task must be a function."));
+      return _rejectedTaskHandle(
+        new TaskRejectedError("Task must be a function.")
+      );
+    }
+    if (
+      timeoutMs !== undefined &&
+      (!Number.isInteger(timeoutMs) ||
+        timeoutMs <= 0 ||
+        timeoutMs > MAX_TIMEOUT_MS)
+    ) {
+      return _rejectedTaskHandle(
+        new TaskRejectedError(
+          `The task timeout must be a whole number of milliseconds between 1 and ${MAX_TIMEOUT_MS}, got ${timeoutMs}.`
+        )
+      );
     }
-    if (requirements.use_adblock && !adblockExtensionPath) {
-      return Promise.reject(
-        new Error(
-          "Task requires adblock, but no adblockExtensionPath was configured for the pool."
+    if (!Number.isInteger(crashRetries) || crashRetries < 0) {
+      return _rejectedTaskHandle(
+        new TaskRejectedError(
+          `maxCrashRetries must be a whole number (0 to disable), got ${crashRetries}.`
         )
       );
     }
-    if (requirements.use_adblock && pool_size_adblock === 0) {
-      return Promise.reject(
-        new Error("Task requires adblock, but pool_size_adblock is 0.")
+    if (
+      requirements.browser_group !== undefined &&
+      !groupsByName.has(requirements.browser_group)
+    ) {
+      return _rejectedTaskHandle(
+        new TaskRejectedError(
+          `Unknown browser group "${requirements.browser_group}".`
+        )
+      );
+    }
+    if (_matchingGroups(requirements).length === 0) {
+      return _rejectedTaskHandle(
+        new TaskRejectedError(
+          `No browser group with size > 0 matches the task (${_describeRequirements(
+            requirements
+          )}).`
+        )
       );
     }
 
-    return new Promise((resolve, reject) => {
-      const taskId = taskQueue.enqueue(
+    const abortController = new AbortController();
+    const metadata = { crashes: [] };
+    let taskId;
+    let settled = false;
+    let rejectTask;
+
+    const promise = new Promise((resolve, reject) => {
+      rejectTask = reject;
+      taskId = taskQueue.enqueue(
         taskFunction,
         priority,
         requirements,
         resolve,
-        reject
+        reject,
+        {
+          abortController,
+          timeoutMs,
+          queueTimeoutMs,
+          maxCrashRetries: crashRetries,
+          metadata,
+        }
       );
+    });
+    const queuedItem = taskQueue.items.find((item) => item.id === taskId);
+    const markSettled = () => {
+      settled = true;
+      clearTimeout(queuedItem.queueTimer);
+    };
+    promise.then(markSettled, markSettled);
+
+    function cancel(reason) {
+      if (settled || abortController.signal.aborted) return false;
+      const error = new TaskCancelledError(taskId, reason);
+      if (taskQueue.remove(taskId)) {
+        console.log(
+          `[Pool] Cancelled queued task ${taskId}. Queue size: ${taskQueue.length}`
+        );
+        abortController.abort(error);
+        rejectTask(error);
+      } else {
+        console.log(`[Pool] Cancelling running task ${taskId}...`);
+        abortController.abort(error);
+      }
+      return true;
+    }
+
+    if (externalSignal) {
+      const onExternalAbort = () => cancel(externalSignal.reason);
+      if (externalSignal.aborted) {
+        onExternalAbort();
+      } else {
+        externalSignal.addEventListener("abort", onExternalAbort, {
+          once: true,
+        });
+        promise.then(
+          () => externalSignal.removeEventListener("abort", onExternalAbort),
+          () => externalSignal.removeEventListener("abort", onExternalAbort)
+        );
+      }
+    }
+
+    if (!abortController.signal.aborted) {
       console.log(
-        `[Pool] Queued task ${taskId} (priority ${priority}, adblock: ${requirements.use_adblock}). Queue size: ${taskQueue.length}`
+        `[Pool] Queued task ${taskId} (priority ${priority}, ${_describeRequirements(
+          requirements
+        )}). Queue size: ${taskQueue.length}`
       );
       _processQueue();
-    });
+      _enforceQueueLimit(taskId);
+      if (taskQueue.items.includes(queuedItem)) {
+        _armQueueDeadline(queuedItem);
+      }
+    }
+
+    return _toTaskHandle(promise, taskId, cancel, metadata);
   }
 
   function createScreenshotTask({
     url,
     use_adblock = false,
+    browser_group,
+    browser_tags = [],
+    engine,
     accept_cookie_banners = false,
     cookie_banner_selectors = [],
     max_wait_timeout = 30000,
@@ -352,6 +1409,24 @@ export async function getBrowserPool(options = {}) {
     viewport_width = 1920,
     viewport_height = 1080,
     max_retries = 0,
+    task_timeout_ms,
+    queue_timeout_ms,
+    max_crash_retries,
+    compare_with,
+    compare_threshold = 0,
+    ignore_selectors = [],
+    output_format = "png",
+    quality,
+    omit_background = false,
+    max_width,
+    pdf_options = {},
+    element_selectors = [],
+    clip,
+    element_padding = 0,
+    actions = [],
+    variables = {},
+    env_variables = true,
+    local_files = true,
   }) {
     if (
       accept_cookie_banners &&
@@ -361,16 +1436,109 @@ export async function getBrowserPool(options = {}) {
         "If accept_cookie_banners is true, cookie_banner_selectors must be specified."
       );
     }
+    if (![...IMAGE_FORMATS, "pdf"].includes(output_format)) {
+      throw new Error(
+        `Unknown output_format "${output_format}". Use one of: ${[
+          ...IMAGE_FORMATS,
+          "pdf",
+        ].join(", ")}.`
+      );
+    }
+    if (output_format === "pdf") {
+      validatePdfOptions(pdf_options);
+    } else {
+      validateImageOptions({
+        format: output_format,
+        quality,
+        omitBackground: omit_background,
+        maxWidth: max_width,
+      });
+    }
+    if (output_format !== "png" && compare_with) {
+      throw new Error("compare_with needs png output.");
+    }
+    // Ignore regions and the baseline are in page pixels, not scaled ones.
+    if (compare_with && max_width) {
+      throw new TaskRejectedError(
+        "compare_with can't be combined with max_width."
+      );
+    }
+    const imageOptions = {
+      format: output_format,
+      quality,
+      omitBackground: omit_background,
+      maxWidth: max_width,
+    };
+    const selectors = Array.isArray(element_selectors)
+      ? element_selectors
+      : [element_selectors];
+    if (
+      !selectors.every(
+        (selector) => typeof selector === "string" && selector.trim() !== ""
+      )
+    ) {
+      throw new Error(
+        "element_selectors must be a selector or an array of selectors (non-empty strings)."
+      );
+    }
+    // Accept the CLI's string forms too ("x,y,w,h", "10,20").
+    try {
+      clip = parseClip(clip);
+      element_padding = parsePadding(element_padding);
+    } catch (e) {
+      throw new TaskRejectedError(e.message);
+    }
+    if (selectors.length > 0 && clip) {
+      throw new Error("Use either element_selectors or clip, not both.");
+    }
+    if (
+      (selectors.length > 0 || clip) &&
+      (output_format === "pdf" || compare_with)
+    ) {
+      throw new Error(
+        "element_selectors/clip can't be combined with PDF output or compare_with."
+      );
+    }
+    if (typeof compare_with === "string") {
+      if (!local_files) {
+        throw new Error("compare_with must be a PNG Buffer, not a path.");
+      }
+      if (!fs.existsSync(path.resolve(compare_with))) {
+        throw new Error(`Baseline image not found: ${compare_with}`);
+      }
+    } else if (compare_with && !isPng(compare_with)) {
+      throw new Error("compare_with is not a PNG image.");
+    }
+
+    if (!local_files && isLocalUrl(url)) {
+      throw new Error(
+        `Only http(s), about: and data: URLs are allowed: ${url}`
+      );
+    }
+    actions = validateActions(
+      applyVariables(actions, variables, {
+        env: env_variables ? process.env : null,
+      }),
+      { allowScreenshots: false, allowLocalFiles: local_files }
+    );
 
-    const taskRequirements = { use_adblock };
+    const taskRequirements = _taskRequirements({
+      use_adblock,
+      browser_group,
+      browser_tags,
+      engine,
+      chromiumOnly: output_format === "pdf" ? "pdf" : undefined,
+    });
 
-    const taskFn = async (browser) => {
+    const taskFn = async (browser, { signal, engine = "chromium" } = {}) => {
       let context;
       let page;
       let attempt = 0;
 
       while (attempt <= max_retries) {
+        let detachAbort = () => {};
         try {
+          if (signal && signal.aborted) throw signal.reason;
           attempt++;
           console.log(
             `[Task: ${url}] (Adblock: ${use_adblock}) Attempt ${attempt}/${
@@ -390,9 +1558,13 @@ export async function getBrowserPool(options = {}) {
             };
           }
 
-          context = await browser.newContext(contextOptions);
+          context = await browser.newContext(
+            _adaptContextOptions(engine, contextOptions, `[Task: ${url}]`)
+          );
+          detachAbort = _closeContextOnAbort(signal, context);
           page = await context.newPage();
           page.setDefaultTimeout(max_wait_timeout);
+          const session = watchPage(page, { logPrefix: `[Task: ${url}]` });
 
           console.log(`[Task: ${url}] (Adblock: ${use_adblock}) Navigating...`);
           await page.goto(url, {
@@ -400,11 +1572,8 @@ export async function getBrowserPool(options = {}) {
             timeout: max_wait_timeout,
           });
 
-          /**
-           * add wait for adblock functionality here if you want
-           * similarily in, the other function
-           * -cheers, Kartik
-           */
+          // No adblock wait needed here: adblock browsers only join the
+          // pool once waitForAdblockReady has verified they block.
 
           if (accept_cookie_banners) {
             console.log(
@@ -426,6 +1595,17 @@ export async function getBrowserPool(options = {}) {
             }
           }
 
+          if (actions.length > 0) {
+            console.log(
+              `[Task: ${url}] (Adblock: ${use_adblock}) Executing ${actions.length} actions...`
+            );
+            ({ page } = await runActions(page, actions, {
+              timeoutMs: max_wait_timeout,
+              logPrefix: `[Task: ${url}]`,
+              session,
+            }));
+          }
+
           if (wait_for_selector) {
             console.log(
               `[Task: ${url}] (Adblock: ${use_adblock}) Waiting for selector: ${wait_for_selector}`
@@ -437,18 +1617,73 @@ export async function getBrowserPool(options = {}) {
             await page.waitForTimeout(1000);
           }
 
+          const ignoreRegions = compare_with
+            ? await measureIgnoreRegions(page, ignore_selectors, {
+                fullPage: full_page_screenshot,
+              })
+            : [];
+
+          if (output_format === "pdf") {
+            console.log(
+              `[Task: ${url}] (Adblock: ${use_adblock}) Rendering PDF...`
+            );
+            const pdfBuffer = await renderPdf(page, pdf_options);
+            console.log(
+              `[Task: ${url}] (Adblock: ${use_adblock}) PDF successful.`
+            );
+            await context.close();
+            return pdfBuffer;
+          }
+
+          if (selectors.length > 0) {
+            console.log(
+              `[Task: ${url}] (Adblock: ${use_adblock}) Capturing ${selectors.length} element(s)...`
+            );
+            const elementImages = await captureElements(page, selectors, {
+              ...imageOptions,
+              padding: element_padding,
+            });
+            await context.close();
+            return elementImages;
+          }
+          if (clip) {
+            console.log(
+              `[Task: ${url}] (Adblock: ${use_adblock}) Taking clipped screenshot...`
+            );
+            const clipBuffer = await captureClip(page, clip, {
+              ...imageOptions,
+              padding: element_padding,
+            });
+            await context.close();
+            return clipBuffer;
+          }
+
           console.log(
             `[Task: ${url}] (Adblock: ${use_adblock}) Taking screenshot...`
           );
-          const imageBuffer = await page.screenshot({
+          const imageBuffer = await captureImage(page, {
+            ...imageOptions,
             fullPage: full_page_screenshot,
-            type: "png",
           });
 
           console.log(
             `[Task: ${url}] (Adblock: ${use_adblock}) Screenshot successful.`
           );
           await context.close();
+
+          if (compare_with) {
+            const report = compareImages(compare_with, imageBuffer, {
+              threshold: compare_threshold,
+              ignoreRegions,
+            });
+            console.log(
+              `[Task: ${url}] (Adblock: ${use_adblock}) ${(
+                report.score * 100
+              ).toFixed(3)}% of pixels differ from baseline ${report.baseline}.`
+            );
+            if (!report.passed) throw new VisualRegressionError(report);
+            return { image: imageBuffer, comparison: report };
+          }
           return imageBuffer;
         } catch (error) {
           console.error(
@@ -457,8 +1692,14 @@ export async function getBrowserPool(options = {}) {
             }`
           );
           if (context) await context.close().catch((e) => {});
+          if (signal && signal.aborted) throw signal.reason;
+          if (error instanceof VisualRegressionError) throw error;
+          if (error instanceof AssertionFailedError) throw error;
+          if (error instanceof UnsupportedContextOptionError) throw error;
           if (attempt > max_retries) throw error;
           await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+        } finally {
+          detachAbort();
         }
       }
       throw new Error(
@@ -466,18 +1707,34 @@ export async function getBrowserPool(options = {}) {
       );
     };
 
-    return { taskFn, requirements: taskRequirements, originalUrl: url };
+    return {
+      taskFn,
+      requirements: taskRequirements,
+      originalUrl: url,
+      timeoutMs: task_timeout_ms,
+      queueTimeoutMs: queue_timeout_ms,
+      maxCrashRetries: max_crash_retries,
+      outputFormat: output_format,
+      contentType: CONTENT_TYPES[output_format],
+      fileExtension: FILE_EXTENSIONS[output_format],
+      returnsElements: selectors.length > 0,
+      returnsComparison: Boolean(compare_with),
+    };
   }
 
-  function queueScreenshotTask(screenshotTaskObject, priority = 0) {
+  function queueScreenshotTask(
+    screenshotTaskObject,
+    priority = 0,
+    options = {}
+  ) {
     if (
       !screenshotTaskObject ||
       typeof screenshotTaskObject.taskFn !== "function" ||
       !screenshotTaskObject.requirements ||
       typeof screenshotTaskObject.originalUrl !== "string"
     ) {
-      return Promise.reject(
-        new Error(
+      return _rejectedTaskHandle(
+        new TaskRejectedError(
           "Invalid task object. Use createScreenshotTask to generate it. Must include taskFn, requirements, and originalUrl."
         )
       );
@@ -485,7 +1742,13 @@ export async function getBrowserPool(options = {}) {
     return queueTaskWithRequirements(
       screenshotTaskObject.taskFn,
       screenshotTaskObject.requirements,
-      priority
+      priority,
+      {
+        timeoutMs: screenshotTaskObject.timeoutMs,
+        queueTimeoutMs: screenshotTaskObject.queueTimeoutMs,
+        maxCrashRetries: screenshotTaskObject.maxCrashRetries,
+        ...options,
+      }
     );
   }
 
@@ -493,6 +1756,9 @@ export async function getBrowserPool(options = {}) {
     url,
     actions = [],
     use_adblock = false,
+    browser_group,
+    browser_tags = [],
+    engine,
     accept_cookie_banners = false,
     cookie_banner_selectors = [],
     max_wait_timeout = 30000,
@@ -502,6 +1768,12 @@ export async function getBrowserPool(options = {}) {
     viewport_height = 1080,
     video_size,
     max_retries = 0,
+    task_timeout_ms,
+    queue_timeout_ms,
+    max_crash_retries,
+    variables = {},
+    env_variables = true,
+    local_files = true,
   }) {
     if (
       accept_cookie_banners &&
@@ -511,22 +1783,41 @@ export async function getBrowserPool(options = {}) {
         "If accept_cookie_banners is true, cookie_banner_selectors must be specified."
       );
     }
-    if (!actions || actions.length === 0) {
+    if (!local_files && isLocalUrl(url)) {
+      throw new Error(
+        `Only http(s), about: and data: URLs are allowed: ${url}`
+      );
+    }
+    actions = validateActions(
+      applyVariables(actions, variables, {
+        env: env_variables ? process.env : null,
+      }),
+      { allowLocalFiles: local_files }
+    );
+    const hasStills = hasActionType(actions, "screenshot");
+    if (actions.length === 0) {
       console.warn(
         `[ScreencastTask: ${url}] No actions provided. Screencast will only record the initial page load and interactions.`
       );
     }
 
-    const taskRequirements = { use_adblock };
+    const taskRequirements = _taskRequirements({
+      use_adblock,
+      browser_group,
+      browser_tags,
+      engine,
+    });
 
-    const taskFn = async (browser) => {
+    const taskFn = async (browser, { signal, engine = "chromium" } = {}) => {
       let context;
       let page;
       let attempt = 0;
       let tempVideoDir = "";
 
       while (attempt <= max_retries) {
+        let detachAbort = () => {};
         try {
+          if (signal && signal.aborted) throw signal.reason;
           attempt++;
           console.log(
             `[ScreencastTask: ${url}] (Adblock: ${use_adblock}) Attempt ${attempt}/${
@@ -561,13 +1852,16 @@ export async function getBrowserPool(options = {}) {
             };
           }
 
-          if (!video_size && contextOptions.viewport) {
+          // Adblock browsers record at the size they were launched with, so
+          // only an explicit video_size is passed on to them.
+          const fitVideoToViewport = !video_size && !browser.persistentContext;
+          if (fitVideoToViewport && contextOptions.viewport) {
             contextOptions.recordVideo.size = {
               width: actualViewportWidth,
               height: actualViewportHeight,
             };
           } else if (
-            !video_size &&
+            fitVideoToViewport &&
             !contextOptions.viewport &&
             emulate_device
           ) {
@@ -580,9 +1874,19 @@ export async function getBrowserPool(options = {}) {
             }
           }
 
-          context = await browser.newContext(contextOptions);
+          context = await browser.newContext(
+            _adaptContextOptions(
+              engine,
+              contextOptions,
+              `[ScreencastTask: ${url}]`
+            )
+          );
+          detachAbort = _closeContextOnAbort(signal, context);
           page = await context.newPage();
           page.setDefaultTimeout(max_wait_timeout);
+          const session = watchPage(page, {
+            logPrefix: `[ScreencastTask: ${url}]`,
+          });
 
           console.log(
             `[ScreencastTask: ${url}] (Adblock: ${use_adblock}) Navigating to initial URL...`
@@ -615,172 +1919,11 @@ export async function getBrowserPool(options = {}) {
           console.log(
             `[ScreencastTask: ${url}] (Adblock: ${use_adblock}) Executing ${actions.length} actions...`
           );
-          for (let i = 0; i < actions.length; i++) {
-            const action = actions[i];
-            console.log(
-              `[ScreencastTask: ${url}] Action ${i + 1}/${actions.length}: ${
-                action.type
-              } ${action.url || action.selector || action.duration || ""}`
-            );
-            try {
-              switch (action.type) {
-                case "navigate":
-                  if (!action.url)
-                    throw new Error("Navigate action requires a 'url'.");
-                  await page.goto(action.url, {
-                    waitUntil: "load",
-                    timeout: max_wait_timeout,
-                    ...action.options,
-                  });
-                  break;
-                case "click":
-                  if (!action.selector)
-                    throw new Error("Click action requires a 'selector'.");
-                  await page.click(action.selector, action.options);
-                  break;
-                case "type":
-                  if (!action.selector)
-                    throw new Error("Type action requires a 'selector'.");
-                  if (typeof action.text !== "string")
-                    throw new Error("Type action requires 'text'.");
-                  await page.type(action.selector, action.text, action.options);
-                  break;
-                case "fill":
-                  if (!action.selector)
-                    throw new Error("Fill action requires a 'selector'.");
-                  if (typeof action.text !== "string")
-                    throw new Error("Fill action requires 'text'.");
-                  await page.fill(action.selector, action.text, action.options);
-                  break;
-                case "check":
-                  if (!action.selector)
-                    throw new Error("Check action requires a 'selector'.");
-                  await page.check(action.selector, action.options);
-                  break;
-                case "uncheck":
-                  if (!action.selector)
-                    throw new Error("Uncheck action requires a 'selector'.");
-                  await page.uncheck(action.selector, action.options);
-                  break;
-                case "selectOption":
-                  if (!action.selector)
-                    throw new Error(
-                      "SelectOption action requires a 'selector'."
-                    );
-                  if (!action.value)
-                    throw new Error(
-                      "SelectOption action requires a 'value' (string, array of strings, or object)."
-                    );
-                  await page.selectOption(
-                    action.selector,
-                    action.value,
-                    action.options
-                  );
-                  break;
-                case "waitForSelector":
-                  if (!action.selector)
-                    throw new Error(
-                      "WaitForSelector action requires a 'selector'."
-                    );
-                  await page.waitForSelector(action.selector, {
-                    state: "visible",
-                    timeout: max_wait_timeout,
-                    ...action.options,
-                  });
-                  break;
-                case "waitForTimeout":
-                  if (typeof action.duration !== "number")
-                    throw new Error(
-                      "WaitTimeout action requires a 'duration' (number)."
-                    );
-                  await page.waitForTimeout(action.duration);
-                  break;
-                case "waitForNavigation":
-                  await page.waitForNavigation({
-                    waitUntil: "load",
-                    timeout: max_wait_timeout,
-                    ...action.options,
-                  });
-                  break;
-                case "waitForLoadState":
-                  await page.waitForLoadState(
-                    action.state || "load",
-                    action.options
-                  );
-                  break;
-                case "scroll":
-                  if (action.direction === "bottom") {
-                    await page.evaluate(() =>
-                      window.scrollTo(0, document.body.scrollHeight)
-                    );
-                  } else if (action.direction === "top") {
-                    await page.evaluate(() => window.scrollTo(0, 0));
-                  } else if (action.direction === "down") {
-                    await page.evaluate(
-                      (amount) =>
-                        window.scrollBy(0, amount || window.innerHeight),
-                      action.amount
-                    );
-                  } else if (action.direction === "up") {
-                    await page.evaluate(
-                      (amount) =>
-                        window.scrollBy(0, -(amount || window.innerHeight)),
-                      action.amount
-                    );
-                  } else if (action.selector) {
-                    await page.evaluate((selector) => {
-                      const element = document.querySelector(selector);
-                      if (element) element.scrollIntoView();
-                    }, action.selector);
-                  } else {
-                    throw new Error(
-                      "Scroll action requires 'direction': 'bottom', 'top', 'down', 'up', or a 'selector'."
-                    );
-                  }
-                  await page.waitForTimeout(200);
-                  break;
-                case "hover":
-                  if (!action.selector)
-                    throw new Error("Hover action requires a 'selector'.");
-                  await page.hover(action.selector, action.options);
-                  break;
-                case "focus":
-                  if (!action.selector)
-                    throw new Error("Focus action requires a 'selector'.");
-                  await page.focus(action.selector, action.options);
-                  break;
-                case "press":
-                  if (!action.selector)
-                    throw new Error("Press action requires a 'selector'.");
-                  if (!action.key)
-                    throw new Error("Press action requires a 'key'.");
-                  await page.press(action.selector, action.key, action.options);
-                  break;
-                case "evaluate":
-                  if (
-                    typeof action.script !== "function" &&
-                    typeof action.script !== "string"
-                  )
-                    throw new Error(
-                      "Evaluate action requires a 'script' (function or string)."
-                    );
-                  await page.evaluate(action.script, action.arg);
-                  break;
-                default:
-                  console.warn(
-                    `[ScreencastTask: ${url}] Unknown action type: ${action.type}`
-                  );
-              }
-              await page.waitForTimeout(action.postActionDelay || 100);
-            } catch (actionError) {
-              console.error(
-                `[ScreencastTask: ${url}] Error during action ${i + 1} (${
-                  action.type
-                }): ${actionError.message.split("\n")[0]}`
-              );
-              throw actionError;
-            }
-          }
+          const { images } = await runActions(page, actions, {
+            timeoutMs: max_wait_timeout,
+            logPrefix: `[ScreencastTask: ${url}]`,
+            session,
+          });
 
           console.log(
             `[ScreencastTask: ${url}] (Adblock: ${use_adblock}) Actions complete. Finalizing video...`
@@ -823,15 +1966,17 @@ export async function getBrowserPool(options = {}) {
           }
 
           const videoBuffer = fs.readFileSync(videoPath);
+          // On adblock browsers the file lives in the profile's video dir.
+          if (video) await video.delete().catch(() => {});
           console.log(
             `[ScreencastTask: ${url}] (Adblock: ${use_adblock}) Screencast successful. Size: ${videoBuffer.length} bytes.`
           );
 
-          fs.unlinkSync(videoPath);
-          fs.rmdirSync(tempVideoDir);
+          // Popups opened during the actions leave their own recordings here.
+          fs.rmSync(tempVideoDir, { recursive: true, force: true });
           tempVideoDir = "";
 
-          return videoBuffer;
+          return hasStills ? { video: videoBuffer, images } : videoBuffer;
         } catch (error) {
           console.error(
             `[ScreencastTask: ${url}] (Adblock: ${use_adblock}) Error during attempt ${attempt}: ${
@@ -846,6 +1991,8 @@ export async function getBrowserPool(options = {}) {
             await context.close().catch((e) => {
               /* ignore cleanup error */
             });
+          const failedVideo = page && page.video();
+          if (failedVideo) await failedVideo.delete().catch(() => {});
 
           if (tempVideoDir) {
             try {
@@ -864,10 +2011,15 @@ export async function getBrowserPool(options = {}) {
             tempVideoDir = "";
           }
 
+          if (signal && signal.aborted) throw signal.reason;
+          if (error instanceof AssertionFailedError) throw error;
+          if (error instanceof UnsupportedContextOptionError) throw error;
           if (attempt > max_retries) throw error;
           await new Promise((resolve) =>
             setTimeout(resolve, 1000 * attempt * (attempt > 1 ? 2 : 1))
           );
+        } finally {
+          detachAbort();
         }
       }
       throw new Error(
@@ -877,18 +2029,30 @@ export async function getBrowserPool(options = {}) {
       );
     };
 
-    return { taskFn, requirements: taskRequirements, originalUrl: url };
+    return {
+      taskFn,
+      requirements: taskRequirements,
+      originalUrl: url,
+      timeoutMs: task_timeout_ms,
+      queueTimeoutMs: queue_timeout_ms,
+      maxCrashRetries: max_crash_retries,
+      returnsStoryboard: hasStills,
+    };
   }
 
-  function queueScreencastTask(screencastTaskObject, priority = 0) {
+  function queueScreencastTask(
+    screencastTaskObject,
+    priority = 0,
+    options = {}
+  ) {
     if (
       !screencastTaskObject ||
       typeof screencastTaskObject.taskFn !== "function" ||
       !screencastTaskObject.requirements ||
       typeof screencastTaskObject.originalUrl !== "string"
     ) {
-      return Promise.reject(
-        new Error(
+      return _rejectedTaskHandle(
+        new TaskRejectedError(
           "Invalid task object. Use createScreencastTask to generate it. Must include taskFn, requirements, and originalUrl."
         )
       );
@@ -897,48 +2061,48 @@ export async function getBrowserPool(options = {}) {
     return queueTaskWithRequirements(
       screencastTaskObject.taskFn,
       screencastTaskObject.requirements,
-      priority
+      priority,
+      {
+        timeoutMs: screencastTaskObject.timeoutMs,
+        queueTimeoutMs: screencastTaskObject.queueTimeoutMs,
+        maxCrashRetries: screencastTaskObject.maxCrashRetries,
+        ...options,
+      }
     );
   }
 
   async function killBrowser(
     browserInstance,
     replenish = true,
-    specificTypeToReplenish = null
+    specificGroupToReplenish = null
   ) {
     const browserState = browsers.find((b) => b.browser === browserInstance);
     if (browserState) {
-      const typeToReplenish = specificTypeToReplenish || browserState.type;
+      const groupToReplenish = specificGroupToReplenish || browserState.group;
       console.log(
-        `[Pool] Killing browser ${browserState.id} (type ${browserState.type})...`
+        `[Pool] Killing browser ${browserState.id} (group: ${browserState.group})...`
       );
+      // Marked before closing so the disconnect isn't counted as a crash.
+      browserState.retiring = "killed";
       _removeBrowserFromPool(browserState);
       if (replenish && !shuttingDown) {
-        const currentOfTypeCount = browsers.filter(
-          (b) => b.type === typeToReplenish
-        ).length;
-        const maxOfType =
-          typeToReplenish === "adblock" ? pool_size_adblock : pool_size_default;
+        const currentOfGroupCount = _activeBrowsersOf(groupToReplenish).length;
+        const minOfGroup = groupsByName.has(groupToReplenish)
+          ? groupsByName.get(groupToReplenish).minSize
+          : 0;
 
-        if (currentOfTypeCount < maxOfType) {
+        if (currentOfGroupCount < minOfGroup) {
           console.log(
-            `[Pool] Attempting to replenish killed ${typeToReplenish} browser...`
+            `[Pool] Attempting to replenish killed ${groupToReplenish} browser...`
           );
-          try {
-            await _launchBrowser(typeToReplenish);
-            _processQueue();
-          } catch (error) {
-            console.error(
-              `[Pool] Failed to replenish ${typeToReplenish} browser:`,
-              error
-            );
-          }
+          _replenish(groupToReplenish);
         } else {
           console.log(
-            `[Pool] Not replenishing ${typeToReplenish} browser, max count (${maxOfType}) reached for this type or pool shrinking.`
+            `[Pool] Not replenishing ${groupToReplenish} browser, min count (${minOfGroup}) reached for this group. More are launched when tasks wait.`
           );
         }
       }
+      _processQueue();
     } else {
       console.warn(
         `[Pool] killBrowser: Browser instance not found in pool. Attempting to close if possible.`
@@ -957,6 +2121,7 @@ export async function getBrowserPool(options = {}) {
   async function shutdown(force = false) {
     console.log(`[Pool] Shutting down... (Force: ${force})`);
     shuttingDown = true;
+    clearInterval(healthCheckTimer);
 
     if (force == true) {
       /**
@@ -975,13 +2140,13 @@ export async function getBrowserPool(options = {}) {
     const browsersToClose = [...browsers];
     const closePromises = browsersToClose.map(async (browserState) => {
       console.log(
-        `[Pool] Closing browser ${browserState.id} (type: ${browserState.type})...`
+        `[Pool] Closing browser ${browserState.id} (group: ${browserState.group})...`
       );
       try {
         await browserState.browser.close();
       } catch (error) {
         console.warn(
-          `[Pool] Error explicitly closing browser ${browserState.id} (type: ${browserState.type}) during shutdown: ${error.message}`
+          `[Pool] Error explicitly closing browser ${browserState.id} (group: ${browserState.group}) during shutdown: ${error.message}`
         );
 
         _removeBrowserFromPool(browserState);
@@ -997,17 +2162,69 @@ export async function getBrowserPool(options = {}) {
   function getStats() {
     return {
       totalBrowsers: browsers.length,
-      defaultBrowsers: browsers.filter((b) => b.type === "default").length,
-      adblockBrowsers: browsers.filter((b) => b.type === "adblock").length,
-      busyBrowsers: browsers.filter((b) => b.busy).length,
-      idleBrowsers: browsers.filter((b) => !b.busy).length,
+      defaultBrowsers: browsers.filter((b) => b.group === "default").length,
+      adblockBrowsers: browsers.filter((b) => b.group === "adblock").length,
+      busyBrowsers: browsers.filter((b) => b.pagesOpen > 0).length,
+      idleBrowsers: browsers.filter((b) => b.pagesOpen === 0).length,
+      runningTasks: browsers.reduce((sum, b) => sum + b.pagesOpen, 0),
+      freeSlots: browsers.reduce(
+        (sum, b) => sum + Math.max(0, _pageLimitOf(b) - b.pagesOpen),
+        0
+      ),
+      memoryThrottled,
       queuedTasks: taskQueue.length,
+      overload: { ...overloadStats },
+      crashes: { ...crashStats },
+      recycling: {
+        ...recycleStats,
+        inProgress: browsers.filter((b) => b.retiring).length,
+        recentEvents: recycleEvents.map((event) => ({ ...event })),
+      },
+      groups: Object.fromEntries(
+        groups.map((group) => {
+          const ofGroup = browsers.filter((b) => b.group === group.name);
+          return [
+            group.name,
+            {
+              size: group.size,
+              minSize: group.minSize,
+              browsers: ofGroup.filter((b) => !b.retiring).length,
+              busyBrowsers: ofGroup.filter((b) => b.pagesOpen > 0).length,
+              runningTasks: ofGroup.reduce((sum, b) => sum + b.pagesOpen, 0),
+              queuedTasks: taskQueue.items.filter((item) =>
+                _groupMatches(group, item.requirements)
+              ).length,
+              ...groupStats.get(group.name),
+              adblock: group.adblock,
+              exclusive: group.exclusive,
+              engine: group.engine,
+              tags: [...group.tags],
+            },
+          ];
+        })
+      ),
       config: {
+        taskTimeoutMs,
         pool_size_default,
+        pool_min_size_default,
         pool_size_adblock,
+        pool_min_size_adblock,
+        idleTimeoutMs,
+        maxCrashRetries,
+        maxPagesPerBrowser,
+        minFreeMemoryMb,
+        maxQueueSize,
+        queueOverflowPolicy,
+        maxQueueWaitMs,
+        recycleAfterTasks,
+        maxBrowserAgeMs,
+        maxConsecutiveFailures,
+        healthCheckIntervalMs,
+        healthCheckTimeoutMs,
         adblockExtensionPath: adblockExtensionPath
           ? path.resolve(adblockExtensionPath)
           : null,
+        adblockProfileDir: path.resolve(adblockProfileDir),
       },
     };
   }